@@ -0,0 +1,196 @@
+// js/agent-filter.js - Agent multi-select in the filters panel, with search and saved teams
+
+const TEAMS_STORAGE_KEY = 'dashboard_agent_teams';
+
+function loadTeams() {
+  try {
+    return JSON.parse(localStorage.getItem(TEAMS_STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+class AgentFilter {
+  constructor() {
+    this.root = null;
+    this.agents = [];       // every agent name across loaded sources
+    this.selected = null;   // Set of names, or null for all agents
+    this.onChange = null;
+  }
+
+  /**
+   * Wire up the #agent-filter control. onChange(agents) is called whenever
+   * the selection changes, with the same value getSelection() returns.
+   */
+  init(onChange) {
+    this.root = document.getElementById('agent-filter');
+    if (!this.root) return;
+    this.onChange = onChange;
+
+    const toggle = this.root.querySelector('.agent-filter-toggle');
+    const menu = this.root.querySelector('.agent-filter-menu');
+    toggle.addEventListener('click', () => this.setOpen(menu.classList.contains('hidden')));
+    // composedPath, as the clicked node may already have been re-rendered away
+    document.addEventListener('click', (e) => {
+      if (!e.composedPath().includes(this.root)) this.setOpen(false);
+    });
+    this.root.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    this.root.querySelector('.agent-filter-search').addEventListener('input', () => this.renderList());
+    this.root.querySelector('.agent-filter-list').addEventListener('change', (e) => {
+      const box = e.target.closest('input[type="checkbox"]');
+      if (!box) return;
+      const next = new Set(this.selected || this.agents);
+      if (box.checked) next.add(box.value);
+      else next.delete(box.value);
+      this.update(next);
+    });
+    this.root.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      const action = btn.dataset.action;
+      if (action === 'all') this.update(new Set([...(this.selected || this.agents), ...this.visibleAgents()]));
+      else if (action === 'none') {
+        const hide = new Set(this.visibleAgents());
+        this.update(new Set([...(this.selected || this.agents)].filter(a => !hide.has(a))));
+      } else if (action === 'save-team') this.saveTeam();
+      else if (action === 'apply-team') this.update(new Set(loadTeams()[btn.dataset.team] || []));
+      else if (action === 'delete-team') this.deleteTeam(btn.dataset.team);
+    });
+
+    this.renderTeams();
+    this.renderSummary();
+  }
+
+  setOpen(open) {
+    const menu = this.root?.querySelector('.agent-filter-menu');
+    if (!menu) return;
+    menu.classList.toggle('hidden', !open);
+    this.root.querySelector('.agent-filter-toggle').setAttribute('aria-expanded', String(open));
+    if (open) this.root.querySelector('.agent-filter-search').focus();
+  }
+
+  // Refresh the list after a load; selected names that aren't loaded are kept
+  setAgents(agents) {
+    if (agents.join('\n') === this.agents.join('\n')) return;
+    this.agents = agents;
+    this.renderList();
+    this.renderSummary();
+  }
+
+  // Array of selected names, or null when every agent is included
+  getSelection() {
+    return this.selected ? [...this.selected].sort() : null;
+  }
+
+  setSelection(agents) {
+    this.selected = agents?.length ? new Set(agents) : null;
+    this.renderList();
+    this.renderSummary();
+  }
+
+  update(next) {
+    // Nothing ticked, or everything ticked, both mean no agent filter
+    const all = next.size === 0 || (next.size === this.agents.length && this.agents.every(a => next.has(a)));
+    this.selected = all ? null : next;
+    this.renderList();
+    this.renderSummary();
+    this.onChange?.(this.getSelection());
+  }
+
+  visibleAgents() {
+    const q = this.root.querySelector('.agent-filter-search').value.trim().toLowerCase();
+    return q ? this.agents.filter(a => a.toLowerCase().includes(q)) : this.agents;
+  }
+
+  renderList() {
+    const list = this.root?.querySelector('.agent-filter-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const visible = this.visibleAgents();
+    if (!visible.length) {
+      const empty = document.createElement('p');
+      empty.className = 'agent-filter-empty';
+      empty.textContent = this.agents.length ? 'No agents match' : 'No agents loaded';
+      list.appendChild(empty);
+      return;
+    }
+
+    visible.forEach(name => {
+      const label = document.createElement('label');
+      label.className = 'agent-filter-option';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = name;
+      box.checked = !this.selected || this.selected.has(name);
+      label.append(box, document.createTextNode(name));
+      list.appendChild(label);
+    });
+  }
+
+  renderSummary() {
+    const toggle = this.root?.querySelector('.agent-filter-toggle');
+    if (!toggle) return;
+    const sel = this.getSelection();
+    toggle.textContent = !sel ? 'All agents' : sel.length === 1 ? sel[0] : `${sel.length} agents`;
+    toggle.classList.toggle('active', !!sel);
+    toggle.title = sel ? sel.join(', ') : '';
+  }
+
+  renderTeams() {
+    const list = this.root?.querySelector('.agent-filter-team-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    Object.entries(loadTeams()).forEach(([name, members]) => {
+      const chip = document.createElement('span');
+      chip.className = 'agent-filter-team';
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.dataset.action = 'apply-team';
+      apply.dataset.team = name;
+      apply.textContent = name;
+      apply.title = members.join(', ');
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.action = 'delete-team';
+      remove.dataset.team = name;
+      remove.textContent = '×';
+      remove.title = `Delete ${name}`;
+      chip.append(apply, remove);
+      list.appendChild(chip);
+    });
+  }
+
+  saveTeam() {
+    const input = this.root.querySelector('.agent-filter-team-name');
+    const name = input.value.trim();
+    const members = this.getSelection();
+    if (!name || !members) {
+      input.placeholder = !members ? 'Select some agents first' : 'Team name';
+      input.focus();
+      return;
+    }
+    const teams = loadTeams();
+    teams[name] = members;
+    localStorage.setItem(TEAMS_STORAGE_KEY, JSON.stringify(teams));
+    input.value = '';
+    this.renderTeams();
+  }
+
+  deleteTeam(name) {
+    const teams = loadTeams();
+    delete teams[name];
+    localStorage.setItem(TEAMS_STORAGE_KEY, JSON.stringify(teams));
+    this.renderTeams();
+  }
+}
+
+export const agentFilter = new AgentFilter();
+export default agentFilter;
@@ -0,0 +1,88 @@
+// js/anomaly.js - Unusual days in daily volumes and rates, against a weekday baseline
+import { addDays, cleanNumber, formatNumber } from './utils.js';
+import { WEEKDAY_NAMES } from './call-filters.js';
+
+const MAD_SCALE = 1.4826; // median absolute deviation -> standard deviation for normal data
+
+const median = (values) => {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+/**
+ * One value per day of rows: [{ day, value, n }] sorted by day.
+ *   valueField  sum this column instead of counting rows
+ *   hit(row)    a rate instead: % of the day's rows for which hit is true
+ * Volumes run from the first to the last day with 0 for days without rows
+ * (a silent day is what an outage looks like); rates only have days with rows.
+ */
+export function dailyValues(rows, { valueField = null, hit = null } = {}) {
+  const days = new Map();
+  rows.forEach(r => {
+    if (!r.__chartDate) return;
+    const d = days.get(r.__chartDate) || { sum: 0, hits: 0, n: 0 };
+    d.n++;
+    if (hit) d.hits += hit(r) ? 1 : 0;
+    else d.sum += valueField ? cleanNumber(r[valueField]) : 1;
+    days.set(r.__chartDate, d);
+  });
+  const keys = [...days.keys()].sort();
+  if (hit) return keys.map(day => ({ day, value: (days.get(day).hits / days.get(day).n) * 100, n: days.get(day).n }));
+
+  const out = [];
+  if (!keys.length) return out;
+  for (let day = keys[0]; day <= keys[keys.length - 1]; day = addDays(day, 1)) {
+    const d = days.get(day);
+    out.push({ day, value: d ? d.sum : 0, n: d ? d.n : 0 });
+  }
+  return out;
+}
+
+/**
+ * Days that stand out from the same weekday in the `weeks` weeks either side.
+ * The baseline is their median and the spread their scaled MAD, so one odd
+ * neighbour doesn't hide another. The spread is floored at the noise expected
+ * by chance (Poisson for volumes, binomial for rates) so quiet, steady series
+ * don't flag every wobble.
+ *   settings  { rate, threshold, weeks, minHistory, minCalls }
+ * Returns [{ day, value, expected, score, direction: 'high' | 'low' }].
+ */
+export function detectAnomalies(series, { rate = false, threshold = 3.5, weeks = 4, minHistory = 3, minCalls = 20 } = {}) {
+  const byDay = new Map(series.map(p => [p.day, p]));
+  const usable = (p) => p && (!rate || p.n >= minCalls);
+
+  return series.filter(usable).flatMap(p => {
+    const history = [];
+    for (let k = -weeks; k <= weeks; k++) {
+      const other = k && byDay.get(addDays(p.day, 7 * k));
+      if (usable(other)) history.push(other.value);
+    }
+    if (history.length < minHistory) return [];
+
+    const expected = median(history);
+    const mad = median(history.map(v => Math.abs(v - expected))) * MAD_SCALE;
+    let noise;
+    if (rate) {
+      const share = Math.min(Math.max(expected / 100, 1 / p.n), 1 - 1 / p.n);
+      noise = 100 * Math.sqrt((share * (1 - share)) / p.n);
+    } else {
+      noise = Math.sqrt(Math.max(expected, 1));
+    }
+    const score = (p.value - expected) / Math.max(mad, noise);
+    if (Math.abs(score) < threshold) return [];
+    return [{ day: p.day, value: p.value, expected, score, direction: score > 0 ? 'high' : 'low' }];
+  });
+}
+
+// "Abandon rate 34.0% vs ~8.2% usual on Tue (+25.8 pts)"
+export function describeAnomaly(a, label, format = 'number') {
+  const weekday = WEEKDAY_NAMES[new Date(`${a.day}T00:00:00Z`).getUTCDay()];
+  const diff = a.value - a.expected;
+  const sign = diff > 0 ? '+' : '−';
+  const change = format === 'percentage'
+    ? `${sign}${Math.abs(diff).toFixed(1)} pts`
+    : a.expected ? `${sign}${Math.abs((diff / a.expected) * 100).toFixed(0)}%` : `${sign}${formatNumber(Math.round(Math.abs(diff)))}`;
+  const show = (v) => formatNumber(format === 'percentage' ? v : Math.round(v), format);
+  return `${label} ${show(a.value)} vs ~${show(a.expected)} usual on ${weekday} (${change})`;
+}
@@ -0,0 +1,118 @@
+// js/cache-store.js - IndexedDB cache of processed datasets, keyed by URL + content fingerprint
+
+const DB_NAME = 'call-performance-dashboard';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+
+// Bump when row processing changes so rows cached by older code are ignored
+const CACHE_VERSION = 6;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// FNV-1a, for insecure contexts where crypto.subtle is unavailable
+function fnv1a(bytes) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0') + '-' + bytes.length;
+}
+
+/**
+ * Content fingerprint of an ArrayBuffer or string
+ */
+export async function fingerprint(content) {
+  const bytes = typeof content === 'string'
+    ? new TextEncoder().encode(content)
+    : new Uint8Array(content);
+
+  let hash;
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  } else {
+    hash = fnv1a(bytes);
+  }
+  return `v${CACHE_VERSION}:${hash}`;
+}
+
+class CacheStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    this.dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('url', 'url', { unique: false });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('IndexedDB unavailable, dataset cache disabled:', req.error);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Most recent cached entry for a URL, or null
+   */
+  async get(url) {
+    try {
+      const db = await this.open();
+      if (!db) return null;
+      const tx = db.transaction(STORE, 'readonly');
+      const entries = await promisify(tx.objectStore(STORE).index('url').getAll(url));
+      const current = entries.filter(e => e.fingerprint?.startsWith(`v${CACHE_VERSION}:`));
+      current.sort((a, b) => b.cachedAt - a.cachedAt);
+      return current[0] || null;
+    } catch (e) {
+      console.warn(`Cache read failed for ${url}:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Store processed rows for url+fingerprint, replacing older entries for the url
+   */
+  async put(url, fp, data, metadata) {
+    try {
+      const db = await this.open();
+      if (!db) return;
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const old = await promisify(store.index('url').getAllKeys(url));
+      old.forEach(id => store.delete(id));
+      store.put({ id: `${url}#${fp}`, url, fingerprint: fp, data, metadata, cachedAt: Date.now() });
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (e) {
+      console.warn(`Cache write failed for ${url}:`, e);
+    }
+  }
+
+  async clear() {
+    const db = await this.open();
+    if (!db) return;
+    const tx = db.transaction(STORE, 'readwrite');
+    await promisify(tx.objectStore(STORE).clear());
+  }
+}
+
+export const cacheStore = new CacheStore();
+export default cacheStore;
@@ -0,0 +1,198 @@
+// js/call-filters.js - Category (disposition, direction...), hour-of-day and weekday filters
+import { CONFIG } from './config.js';
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PRESETS = { weekdays: [1, 2, 3, 4, 5], weekend: [0, 6] };
+
+const pad = (h) => `${String(h).padStart(2, '0')}:00`;
+
+class CallFilters {
+  constructor() {
+    this.root = null;
+    this.options = {};       // category name -> values found in the data
+    this.categories = {};    // category name -> Set of selected values
+    this.hours = null;       // { from, to } hours in the reporting timezone, to exclusive
+    this.weekdays = null;    // Set of 0-6 (0 = Sunday)
+    this.onChange = null;
+  }
+
+  /**
+   * Wire up the #call-filters control. onChange() is called whenever a
+   * filter changes; read the new state with getFilters().
+   */
+  init(onChange) {
+    this.root = document.getElementById('call-filters');
+    if (!this.root) return;
+    this.onChange = onChange;
+
+    const toggle = this.root.querySelector('.call-filters-toggle');
+    const menu = this.root.querySelector('.call-filters-menu');
+    toggle.addEventListener('click', () => this.setOpen(menu.classList.contains('hidden')));
+    document.addEventListener('click', (e) => {
+      if (!e.composedPath().includes(this.root)) this.setOpen(false);
+    });
+    this.root.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    const from = this.root.querySelector('.call-filters-hour-from');
+    const to = this.root.querySelector('.call-filters-hour-to');
+    for (let h = 0; h < 24; h++) from.add(new Option(pad(h), h));
+    for (let h = 1; h <= 24; h++) to.add(new Option(pad(h), h));
+    const onHours = () => {
+      this.hours = from.value === '' ? null : { from: +from.value, to: to.value === '' ? 24 : +to.value };
+      this.changed();
+    };
+    from.addEventListener('change', onHours);
+    to.addEventListener('change', onHours);
+
+    const days = this.root.querySelector('.call-filters-weekdays');
+    [1, 2, 3, 4, 5, 6, 0].forEach(d => {
+      const label = document.createElement('label');
+      label.className = 'call-filters-day';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = d;
+      label.append(box, document.createTextNode(WEEKDAY_NAMES[d]));
+      days.appendChild(label);
+    });
+
+    this.root.addEventListener('change', (e) => {
+      const box = e.target.closest('input[type="checkbox"]');
+      if (!box) return;
+      if (box.dataset.category) {
+        const set = this.categories[box.dataset.category] || new Set();
+        if (box.checked) set.add(box.value);
+        else set.delete(box.value);
+        this.categories[box.dataset.category] = set;
+      } else {
+        const set = new Set(this.weekdays || []);
+        if (box.checked) set.add(+box.value);
+        else set.delete(+box.value);
+        this.weekdays = set.size ? set : null;
+      }
+      this.changed();
+    });
+    this.root.addEventListener('click', (e) => {
+      const preset = e.target.closest('[data-preset]')?.dataset.preset;
+      if (!preset) return;
+      this.weekdays = new Set(PRESETS[preset]);
+      this.changed();
+    });
+
+    this.render();
+  }
+
+  setOpen(open) {
+    const menu = this.root?.querySelector('.call-filters-menu');
+    if (!menu) return;
+    menu.classList.toggle('hidden', !open);
+    this.root.querySelector('.call-filters-toggle').setAttribute('aria-expanded', String(open));
+  }
+
+  // Values per category, from dataLoader.getFilterOptions()
+  setOptions(options) {
+    if (JSON.stringify(options) === JSON.stringify(this.options)) return;
+    this.options = options;
+    this.render();
+  }
+
+  /**
+   * { categories: { name: [values] } | null, hours: { from, to } | null,
+   *   weekdays: [0-6] | null }, null meaning no filter
+   */
+  getFilters() {
+    const categories = Object.fromEntries(
+      Object.entries(this.categories)
+        .filter(([, set]) => set.size)
+        .map(([name, set]) => [name, [...set].sort()])
+    );
+    return {
+      categories: Object.keys(categories).length ? categories : null,
+      hours: this.hours ? { ...this.hours } : null,
+      weekdays: this.weekdays ? [...this.weekdays].sort() : null
+    };
+  }
+
+  setFilters({ categories, hours, weekdays } = {}) {
+    this.categories = Object.fromEntries(
+      Object.entries(categories || {}).map(([name, values]) => [name, new Set(values)])
+    );
+    this.hours = hours && Number.isFinite(hours.from) ? { from: hours.from, to: hours.to ?? 24 } : null;
+    this.weekdays = weekdays?.length ? new Set(weekdays) : null;
+    this.render();
+  }
+
+  // Remove one filter: a category value, a whole category, 'hours' or 'weekdays'
+  clear(name, value) {
+    if (name === 'hours') this.hours = null;
+    else if (name === 'weekdays') this.weekdays = null;
+    else if (value != null) this.categories[name]?.delete(value);
+    else delete this.categories[name];
+    this.render();
+  }
+
+  changed() {
+    this.render();
+    this.onChange?.();
+  }
+
+  render() {
+    if (!this.root) return;
+
+    const list = this.root.querySelector('.call-filters-categories');
+    list.innerHTML = '';
+    Object.entries(CONFIG.categoryFilters).forEach(([name, def]) => {
+      const values = this.options[name] || [];
+      if (!values.length) return;
+
+      const section = document.createElement('fieldset');
+      section.className = 'call-filters-section';
+      const legend = document.createElement('legend');
+      legend.textContent = def.label;
+      section.appendChild(legend);
+      values.forEach(v => {
+        const label = document.createElement('label');
+        label.className = 'call-filters-option';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.category = name;
+        box.value = v;
+        box.checked = !!this.categories[name]?.has(v);
+        label.append(box, document.createTextNode(def.values?.[v] ?? v));
+        section.appendChild(label);
+      });
+      list.appendChild(section);
+    });
+
+    this.root.querySelector('.call-filters-hour-from').value = this.hours ? this.hours.from : '';
+    this.root.querySelector('.call-filters-hour-to').value = this.hours ? this.hours.to : '';
+    this.root.querySelectorAll('.call-filters-weekdays input').forEach(box => {
+      box.checked = !!this.weekdays?.has(+box.value);
+    });
+
+    const f = this.getFilters();
+    const count = Object.values(f.categories || {}).length + (f.hours ? 1 : 0) + (f.weekdays ? 1 : 0);
+    const toggle = this.root.querySelector('.call-filters-toggle');
+    toggle.textContent = count ? `Filters (${count})` : 'More filters';
+    toggle.classList.toggle('active', count > 0);
+  }
+}
+
+// Short labels for the active-filter chips
+export function describeHours({ from, to }) {
+  return `${pad(from)}–${pad(to)}`;
+}
+
+export function describeWeekdays(days) {
+  const key = [...days].sort().join();
+  if (key === PRESETS.weekdays.join()) return 'Weekdays';
+  if (key === [...PRESETS.weekend].sort().join()) return 'Weekend';
+  return [1, 2, 3, 4, 5, 6, 0].filter(d => days.includes(d)).map(d => WEEKDAY_NAMES[d]).join(', ');
+}
+
+export const callFilters = new CallFilters();
+export default callFilters;
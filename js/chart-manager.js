@@ -1,9 +1,61 @@
 // js/chart-manager.js - Force canvas sizing
-import { cleanNumber, parseDate } from './utils.js';
+import { CONFIG } from './config.js';
+import { cleanNumber, parseDate, zonedDayKey, periodKey, periodRange, autoGranularity } from './utils.js';
+
+export const GRANULARITIES = { auto: 'Auto', day: 'Day', isoWeek: 'Week', month: 'Month', quarter: 'Quarter' };
+const GRANULARITY_STORAGE_KEY = 'dashboard_chart_granularity';
+
+const utcLabel = (dayKey, opts) => new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-GB', { ...opts, timeZone: 'UTC' });
+
+// Axis label for a periodKey() key
+function periodLabel(key, granularity) {
+  switch (granularity) {
+    case 'day':     return utcLabel(key, { month: 'short', day: 'numeric' });
+    case 'isoWeek': return `W${key.slice(6)} ${key.slice(0, 4)}`;
+    case 'month':   return utcLabel(`${key}-01`, { month: 'short', year: 'numeric' });
+    default:        return `${key.slice(5)} ${key.slice(0, 4)}`;
+  }
+}
 
 class ChartManager {
   constructor() {
     this.instances = new Map(); // id -> Chart
+    this.series = new Map();    // id -> { rows, opts } of over-time charts, to redraw at a new granularity
+  }
+
+  // Granularity picked for an over-time chart, or "auto"
+  getGranularity(id) {
+    try {
+      return JSON.parse(localStorage.getItem(GRANULARITY_STORAGE_KEY) || '{}')[id] || CONFIG.timeSeries.granularity;
+    } catch {
+      return CONFIG.timeSeries.granularity;
+    }
+  }
+
+  setGranularity(id, granularity) {
+    try {
+      const all = JSON.parse(localStorage.getItem(GRANULARITY_STORAGE_KEY) || '{}');
+      if (granularity === 'auto') delete all[id];
+      else all[id] = granularity;
+      localStorage.setItem(GRANULARITY_STORAGE_KEY, JSON.stringify(all));
+    } catch (e) {
+      console.warn('Failed to save chart granularity:', e);
+    }
+    const args = this.series.get(id);
+    if (args) this.createCallsOverTimeChart(id, args.rows, args.opts);
+  }
+
+  // onClick/onHover chart options calling onClick(label) for the clicked bar or slice
+  clickable(labels, onClick) {
+    if (!onClick) return {};
+    return {
+      onClick: (event, elements) => {
+        if (elements.length) onClick(labels[elements[0].index]);
+      },
+      onHover: (event, elements) => {
+        event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+      }
+    };
   }
 
   _destroyIfExists(id) {
@@ -60,6 +112,69 @@ class ChartManager {
     });
   }
 
+  // Day key -> { sum of valueField, n rows }
+  bucketByDay(id, rows, dateField, valueField) {
+    const bucket = new Map();
+    console.log(`Processing ${rows.length} rows for chart ${id}`);
+    
+    for (const r of rows) {
+      let d = r[dateField];
+
+      // Day keys (__chartDate) are used as-is; anything else is bucketed by
+      // its calendar day in the reporting timezone
+      let key = null;
+      if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) {
+        key = d;
+      } else {
+        const dt = d instanceof Date ? d : parseDate(d);
+        if (dt && !isNaN(dt)) key = zonedDayKey(dt);
+      }
+
+      if (!key) {
+        console.log(`Failed to parse date for ${id}:`, d);
+        continue;
+      }
+
+      let v = 1;
+      if (valueField) {
+        const raw = r[valueField];
+        v = typeof raw === 'number' ? raw : cleanNumber(raw);
+        if (!Number.isFinite(v)) v = 0;
+      }
+
+      const day = bucket.get(key) || { sum: 0, n: 0 };
+      day.sum += v;
+      day.n++;
+      bucket.set(key, day);
+    }
+    return bucket;
+  }
+
+  /**
+   * Roll days up into periods. "count" and "sum" add up over the period;
+   * "avg" is the mean over every row in the period, not a mean of daily
+   * means. align moves a comparison day onto the current range first.
+   */
+  rollUp(days, granularity, aggregate, align = (d) => d) {
+    const periods = new Map(); // period key -> { sum, n, from }
+    [...days.keys()].sort().forEach(day => {
+      const { sum, n } = days.get(day);
+      const key = periodKey(align(day), granularity);
+      const p = periods.get(key) || { sum: 0, n: 0, from: day };
+      p.sum += sum;
+      p.n += n;
+      periods.set(key, p);
+    });
+
+    const values = new Map();
+    periods.forEach((p, key) => {
+      const total = aggregate === 'count' ? p.n : p.sum;
+      const v = aggregate === 'avg' ? (p.n ? p.sum / p.n : 0) : total;
+      values.set(key, { value: v, from: p.from });
+    });
+    return values;
+  }
+
   createCallsOverTimeChart(id, rows, opts = {}) {
     console.log('CHART CREATION CALLED:', { id, rows: rows.length, opts });
     
@@ -67,10 +182,17 @@ class ChartManager {
       dateField,
       valueField = null,
       color = '#3b82f6',
-      aggregate = valueField ? 'sum' : 'count'
+      aggregate = valueField ? 'sum' : 'count', // 'count' | 'sum' | 'avg' of valueField
+      label = valueField ? valueField.replace('_numeric', '').replace('_', ' ') : 'Count',
+      target = null,    // { value, label }: flat reference line
+      comparison = null, // { rows, align(dayKey) -> day key in this range, label }
+      forecast = null,  // { points: [{ day, value, sd, peak }], z, label } from forecastVolume
+      anomalies = [],   // [{ day, text }]: unusual days, marked on their period's point
+      onPeriodClick = null // ({ startDate, endDate, label, granularity }) for a clicked period with data
     } = opts;
 
     this._destroyIfExists(id);
+    this.series.set(id, { rows, opts });
 
     // Check if canvas exists
     const ctx = document.getElementById(id);
@@ -96,75 +218,152 @@ class ChartManager {
       return;
     }
 
-    // Map -> aggregate by day
-    const bucket = new Map();
-    console.log(`Processing ${rows.length} rows for chart ${id}`);
-    
-    for (const r of rows) {
-      let d = r[dateField];
-
-      // Normalize date
-      let dt = null;
-      if (d instanceof Date) {
-        dt = isNaN(d) ? null : d;
-      } else if (typeof d === 'string' && d.trim()) {
-        if (d.includes('T') || /^\d{4}-\d{2}-\d{2}$/.test(d)) {
-          const tryIso = new Date(d);
-          dt = isNaN(tryIso) ? null : tryIso;
-        } else {
-          dt = parseDate(d);
-        }
-      }
-
-      if (!dt || isNaN(dt)) {
-        console.log(`Failed to parse date for ${id}:`, d);
-        continue;
-      }
-
-      const key = dt.toISOString().slice(0, 10); // YYYY-MM-DD
+    // Map -> aggregate by day, then by the chosen period
+    const bucket = this.bucketByDay(id, rows, dateField, valueField);
+    const days = [...bucket.keys()].sort();
+    // Auto goes by the span of days shown, which lies within the date filter
+    const choice = this.getGranularity(id);
+    const granularity = choice === 'auto' ? autoGranularity(days[0], days[days.length - 1]) : choice;
+    const periods = this.rollUp(bucket, granularity, aggregate);
 
-      let v = 1;
-      if (valueField) {
-        const raw = r[valueField];
-        v = typeof raw === 'number' ? raw : cleanNumber(raw);
-        if (!Number.isFinite(v)) v = 0;
-      }
+    console.log(`Chart ${id} bucket data:`, Object.fromEntries(bucket));
 
-      const prev = bucket.get(key) || 0;
-      bucket.set(key, aggregate === 'count' ? prev + 1 : prev + v);
+    // Comparison days are moved onto the matching day of this range
+    const compared = comparison
+      ? this.rollUp(this.bucketByDay(id, comparison.rows, dateField, valueField), granularity, aggregate, comparison.align)
+      : new Map();
+
+    // Forecast days roll up like actuals; their variances add, so a period's
+    // band is z standard deviations of the summed days either side
+    const projected = new Map(); // period key -> { value, lower, upper, peak }
+    if (forecast) {
+      const sums = new Map();
+      forecast.points.forEach(p => {
+        const key = periodKey(p.day, granularity);
+        const t = sums.get(key) || { value: 0, variance: 0, days: 0, peak: p.peak };
+        t.value += p.value;
+        t.variance += p.sd * p.sd;
+        t.days++;
+        sums.set(key, t);
+      });
+      sums.forEach((t, key) => {
+        const value = t.value, spread = forecast.z * Math.sqrt(t.variance);
+        projected.set(key, { value, lower: Math.max(0, value - spread), upper: value + spread, peak: t.days === 1 ? t.peak : null });
+      });
     }
 
-    console.log(`Chart ${id} bucket data:`, Object.fromEntries(bucket));
-
     // Sort keys chronologically
-    const keys = Array.from(bucket.keys()).sort();
-    const labels = keys.map(k => {
-      const date = new Date(k);
-      return date.toLocaleDateString('en-GB', { month: 'short', day: 'numeric' });
+    const keys = Array.from(new Set([...periods.keys(), ...compared.keys(), ...projected.keys()])).sort();
+    const labels = keys.map(k => periodLabel(k, granularity));
+    const data = keys.map(k => periods.get(k)?.value ?? null);
+    const whole = aggregate !== 'avg';
+
+    // Show what "auto" resolved to in the chart's selector
+    const autoOption = ctx.closest?.('.chart-card')?.querySelector('.chart-granularity option[value="auto"]');
+    if (autoOption) autoOption.textContent = `Auto (${GRANULARITIES[granularity]})`;
+
+    const datasets = [{
+      label,
+      data,
+      borderColor: color,
+      backgroundColor: color + '33',
+      fill: true,
+      tension: 0.25,
+      pointRadius: 3,
+      pointHoverRadius: 5,
+      spanGaps: true
+    }];
+    if (comparison) {
+      datasets.push({
+        label: comparison.label || 'Comparison',
+        data: keys.map(k => compared.get(k)?.value ?? null),
+        borderColor: '#94a3b8',
+        backgroundColor: 'transparent',
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0.25,
+        pointRadius: 2,
+        pointHoverRadius: 4,
+        spanGaps: true,
+        comparison: true
+      });
+    }
+    if (forecast) {
+      const band = { borderColor: 'transparent', pointRadius: 0, pointHoverRadius: 0, tension: 0.25, band: true };
+      datasets.push(
+        { ...band, label: 'Forecast lower', data: keys.map(k => projected.get(k)?.lower ?? null), fill: false },
+        { ...band, label: 'Forecast upper', data: keys.map(k => projected.get(k)?.upper ?? null), backgroundColor: color + '22', fill: '-1' },
+        {
+          label: forecast.label || 'Forecast',
+          data: keys.map(k => projected.get(k)?.value ?? null),
+          borderColor: color,
+          backgroundColor: 'transparent',
+          borderDash: [3, 3],
+          fill: false,
+          tension: 0.25,
+          pointRadius: 2,
+          pointHoverRadius: 4,
+          forecast: true
+        }
+      );
+    }
+    const marks = new Map(); // period key -> explanations of its unusual days
+    anomalies.forEach(a => {
+      const key = periodKey(a.day, granularity);
+      if (periods.has(key)) marks.set(key, [...(marks.get(key) || []), a.text]);
     });
-    const data = keys.map(k => bucket.get(k));
+    if (marks.size) {
+      datasets.push({
+        label: 'Unusual day',
+        data: keys.map(k => (marks.has(k) ? periods.get(k).value : null)),
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 7,
+        pointHoverRadius: 9,
+        borderColor: '#ef4444',
+        backgroundColor: '#ef4444',
+        anomaly: true
+      });
+    }
+    if (target) {
+      datasets.push({
+        label: target.label || 'Target',
+        data: keys.map(() => target.value),
+        borderColor: '#ef4444',
+        borderDash: [2, 3],
+        borderWidth: 1.5,
+        fill: false,
+        pointRadius: 0,
+        pointHoverRadius: 0
+      });
+    }
 
     console.log(`Chart ${id} final data:`, { labels, data });
 
+    // Clicks anywhere in a period's column count, not just on its point;
+    // forecast-only and comparison-only periods have no data to drill into
+    const periodAt = (chart, event) => {
+      const [hit] = chart.getElementsAtEventForMode(event, 'index', { intersect: false }, false);
+      return hit && periods.has(keys[hit.index]) ? hit.index : null;
+    };
+    const clicks = onPeriodClick ? {
+      onClick: (event, elements, chart) => {
+        const i = periodAt(chart, event);
+        if (i != null) onPeriodClick({ ...periodRange(keys[i], granularity), label: labels[i], granularity });
+      },
+      onHover: (event, elements, chart) => {
+        event.native.target.style.cursor = periodAt(chart, event) != null ? 'pointer' : 'default';
+      }
+    } : {};
+
     try {
       const chart = new window.Chart(ctx, {
         type: 'line',
-        data: {
-          labels,
-          datasets: [{
-            label: valueField ? valueField.replace('_numeric', '').replace('_', ' ') : 'Count',
-            data,
-            borderColor: color,
-            backgroundColor: color + '33',
-            fill: true,
-            tension: 0.25,
-            pointRadius: 3,
-            pointHoverRadius: 5
-          }]
-        },
+        data: { labels, datasets },
         options: {
           responsive: false, // CRITICAL: Disable responsive to prevent resizing issues
           maintainAspectRatio: false,
+          ...clicks,
           scales: {
             x: { 
               grid: { display: false },
@@ -172,20 +371,33 @@ class ChartManager {
             },
             y: { 
               beginAtZero: true,
-              ticks: { precision: 0 }
+              ticks: whole ? { precision: 0 } : {}
             }
           },
           plugins: {
-            legend: { display: false },
+            legend: {
+              display: !!(comparison || target || forecast || marks.size),
+              labels: { filter: (item, data) => !data.datasets[item.datasetIndex].band }
+            },
             tooltip: {
+              filter: (item) => !item.dataset.band,
               callbacks: {
                 title: (context) => {
-                  const index = context[0].dataIndex;
-                  return keys[index];
+                  const key = keys[context[0].dataIndex];
+                  if (!context[0].dataset.comparison) return granularity === 'day' ? key : labels[context[0].dataIndex];
+                  const from = compared.get(key).from;
+                  return granularity === 'day' ? from : periodLabel(periodKey(from, granularity), granularity);
                 },
                 label: (ctx) => {
                   const val = ctx.parsed.y;
-                  return `${val}`;
+                  if (ctx.dataset.anomaly) return marks.get(keys[ctx.dataIndex]);
+                  if (ctx.dataset.forecast) {
+                    const p = projected.get(keys[ctx.dataIndex]);
+                    const lines = [`Forecast ${Math.round(p.value)} (${Math.round(p.lower)}–${Math.round(p.upper)})`];
+                    if (p.peak) lines.push(`Busiest hour ${String(p.peak.hour).padStart(2, '0')}:00, ~${Math.round(p.peak.calls)} calls`);
+                    return lines;
+                  }
+                  return whole ? `${val}` : val.toFixed(2);
                 }
               }
             }
@@ -269,7 +481,8 @@ class ChartManager {
   createBarChart(id, rows, opts = {}) {
     console.log(`Creating bar chart for ${id}:`, { rows: rows.length, opts });
     
-    const { labels = [], data = [], label = 'Value', multiColor = false } = opts;
+    // onClick(label) makes the bars clickable, e.g. to open an agent's scorecard
+    const { labels = [], data = [], label = 'Value', multiColor = false, onClick = null } = opts;
     this._destroyIfExists(id);
     const ctx = document.getElementById(id);
     if (!ctx) {
@@ -319,7 +532,8 @@ class ChartManager {
           },
           plugins: {
             legend: { display: false }
-          }
+          },
+          ...this.clickable(labels, onClick)
         }
       });
 
@@ -330,7 +544,7 @@ class ChartManager {
     }
   }
 
-  createStatusChart(id, rows, statusField = 'status') {
+  createStatusChart(id, rows, statusField = 'status', { onClick = null } = {}) {
     console.log(`Creating status chart for ${id}:`, { rows: rows.length, statusField });
     
     this._destroyIfExists(id);
@@ -374,6 +588,7 @@ class ChartManager {
         options: {
           responsive: false,
           maintainAspectRatio: false,
+          ...this.clickable(labels, onClick),
           plugins: { 
             legend: { 
               position: 'bottom',
@@ -392,7 +607,7 @@ class ChartManager {
     }
   }
 
-  createAgentChart(id, rows, agentField = 'agent') {
+  createAgentChart(id, rows, agentField = 'agent', { onClick = null } = {}) {
     console.log(`Creating agent chart for ${id}:`, { rows: rows.length, agentField });
     
     this._destroyIfExists(id);
@@ -455,7 +670,8 @@ class ChartManager {
           },
           plugins: { 
             legend: { display: false }
-          }
+          },
+          ...this.clickable(labels, onClick)
         }
       });
 
@@ -465,6 +681,159 @@ class ChartManager {
       console.error(`Error creating agent chart ${id}:`, error);
     }
   }
+
+  /**
+   * Bars and lines over shared labels. spec:
+   *   labels
+   *   bars, lines  [{ label, data, color }]
+   */
+  createComboChart(id, spec) {
+    const { labels, bars = [], lines = [] } = spec;
+    console.log(`Creating combo chart for ${id}:`, { labels: labels.length });
+
+    this._destroyIfExists(id);
+    const ctx = document.getElementById(id);
+    if (!ctx) {
+      console.error(`Chart canvas with id '${id}' not found`);
+      return;
+    }
+
+    this.forceCanvasSize(ctx, 600, 300);
+
+    if (!window.Chart) {
+      console.error('Chart.js not available');
+      return;
+    }
+
+    try {
+      const chart = new window.Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels,
+          datasets: [
+            ...lines.map(l => ({
+              type: 'line',
+              label: l.label,
+              data: l.data,
+              borderColor: l.color,
+              backgroundColor: l.color,
+              stepped: 'middle',
+              fill: false,
+              pointRadius: 0,
+              pointHoverRadius: 4
+            })),
+            ...bars.map(b => ({
+              label: b.label,
+              data: b.data,
+              backgroundColor: b.color + '80',
+              borderColor: b.color,
+              borderWidth: 1
+            }))
+          ]
+        },
+        options: {
+          responsive: false,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: {
+              grid: { display: false },
+              ticks: { maxRotation: 0, autoSkip: true }
+            },
+            y: {
+              beginAtZero: true
+            }
+          },
+          plugins: {
+            legend: { display: true }
+          }
+        }
+      });
+
+      this.instances.set(id, chart);
+      console.log(`Combo chart ${id} created successfully:`, chart);
+    } catch (error) {
+      console.error(`Error creating combo chart ${id}:`, error);
+    }
+  }
+
+  /**
+   * Grid of shaded cells (chartjs-chart-matrix). spec:
+   *   xLabels, yLabels  column and row names
+   *   cells             [{ x, y, value, count }], x and y being labels; value null for no data
+   *   label, color      metric name and hex colour, shaded by value
+   *   format(value)     tooltip text for a value
+   *   onClick(cell)     called with the clicked cell
+   */
+  createHeatmapChart(id, spec) {
+    const { xLabels, yLabels, cells, label, color = '#3b82f6', format = (v) => `${v}`, onClick } = spec;
+    console.log(`Creating heatmap for ${id}:`, { cells: cells.length, label });
+
+    this._destroyIfExists(id);
+    const ctx = document.getElementById(id);
+    if (!ctx) {
+      console.error(`Chart canvas with id '${id}' not found`);
+      return;
+    }
+
+    this.forceCanvasSize(ctx, 600, 300);
+
+    if (!window.Chart?.registry?.controllers.get('matrix')) {
+      console.error('Chart.js matrix controller not available');
+      return;
+    }
+
+    const max = Math.max(0, ...cells.map(c => c.value ?? 0));
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    const shade = (v) => v == null ? 'rgba(148, 163, 184, 0.08)' : `rgba(${r}, ${g}, ${b}, ${0.1 + 0.9 * (max ? v / max : 0)})`;
+
+    try {
+      const chart = new window.Chart(ctx, {
+        type: 'matrix',
+        data: {
+          datasets: [{
+            label,
+            data: cells.map(c => ({ ...c, v: c.value })),
+            backgroundColor: (c) => shade(c.raw?.v),
+            borderColor: 'rgba(255, 255, 255, 0.8)',
+            borderWidth: 1,
+            width: ({ chart }) => (chart.chartArea?.width || 0) / xLabels.length - 1,
+            height: ({ chart }) => (chart.chartArea?.height || 0) / yLabels.length - 1
+          }]
+        },
+        options: {
+          responsive: false,
+          maintainAspectRatio: false,
+          scales: {
+            x: { type: 'category', labels: xLabels, offset: true, grid: { display: false }, ticks: { maxRotation: 0, autoSkip: true } },
+            y: { type: 'category', labels: yLabels, offset: true, grid: { display: false } }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                title: (items) => `${items[0].raw.y} ${items[0].raw.x}`,
+                label: (item) => item.raw.v == null
+                  ? 'No calls'
+                  : `${label}: ${format(item.raw.v)} (${item.raw.count} call${item.raw.count === 1 ? '' : 's'})`
+              }
+            }
+          },
+          onClick: (event, elements) => {
+            if (onClick && elements.length) onClick(cells[elements[0].index]);
+          },
+          onHover: (event, elements) => {
+            event.native.target.style.cursor = onClick && elements.length ? 'pointer' : 'default';
+          }
+        }
+      });
+
+      this.instances.set(id, chart);
+      console.log(`Heatmap ${id} created successfully:`, chart);
+    } catch (error) {
+      console.error(`Error creating heatmap ${id}:`, error);
+    }
+  }
 }
 
 const chartManager = new ChartManager();
@@ -1,11 +1,85 @@
 // js/config.js
 export const CONFIG = {
+  // url may point at a CSV or an XLSX/XLS workbook; for workbooks set
+  // `sheet` (name or 0-based index) to pick a sheet other than the first.
+  //
+  // Instead of `url`, a source may list several exports to merge: `files` is an
+  // array of URLs or globs ("./data/inbound_*.csv", matched against the server's
+  // directory listing), and `manifest` is the URL of a JSON array (or { files })
+  // of the same, resolved relative to the manifest. When files are merged, rows
+  // whose `dedupeKey` columns repeat an earlier row are dropped (first file wins).
+  //
+  // Numeric dates such as 01/03/2024 are read day-first or month-first per file,
+  // detected from the values (see detectDateOrder in row-processor.js); set
+  // `dateOrder: "dmy"` or `"mdy"` on a source to skip detection.
+  //
+  // `grain: "call"` marks sources with one row per call; only those can be
+  // filtered by hour of day (the others hold daily totals).
+  //
+  // `transform` declares how raw rows become processed rows (run by row-processor.js).
+  // Column references are either a header name ("Total Calls"), a logical field
+  // from fieldMappings ({ field: "duration" }) or the first non-blank of several
+  // headers ({ firstOf: [...] }).
+  //   filters:  rows must match, else they're dropped with `reason`
+  //   date:     { from } or { compose: { year, month, day } }, sets date_parsed and
+  //             __chartDate (YYYY-MM-DD in CONFIG.timezone); `incomplete` rejects a composed
+  //             date with a valid year but no month/day (e.g. FCR "Total" rows)
+  //   derived:  computed columns: { from, fn, default }, fn from DERIVED_FUNCTIONS
+  //   numeric:  name -> column parsed with cleanNumber; { field } refs are skipped
+  //             when the column is missing (and when blank, with ifPresent)
+  //   required: columns that must be non-blank
+  //   totals:   { marker, value, sum, expectDays } keeps composed-date rows whose
+  //             month or day is `marker` as stated yearly/monthly totals of `value`,
+  //             reconciled against the sum of `sum` over the daily rows; days of the
+  //             week in expectDays (0 = Sunday) with no row are reported as missing
   dataSources: {
-    inbound:  { url: "./data/inbound_calls.csv",            name: "Inbound Calls",  icon: "📥", color: "#3b82f6" },
-    outbound: { url: "./data/outbound_calls.csv",           name: "Outbound Calls", icon: "📤", color: "#10b981" },
-	outbound_connectrate: { url: "./data/outbound_connectrate.csv",           name: "Outbound Connect Rate", icon: "📤", color: "#10b981" },
-    fcr:      { url: "./data/first_contact_resolution.csv", name: "First Contact Resolution", icon: "✅", color: "#f59e0b" }
-	
+    inbound: {
+      url: "./data/inbound_calls.csv", name: "Inbound Calls", icon: "📥", color: "#3b82f6", grain: "call",
+      transform: {
+        date:     { from: { field: "date" } },
+        numeric:  { duration_numeric: { field: "duration" }, waitTime_numeric: { field: "waitTime" } },
+        required: ["Call ID"]
+      },
+      dedupeKey: ["Call ID"]
+    },
+    outbound: {
+      url: "./data/outbound_calls.csv", name: "Outbound Calls", icon: "📤", color: "#10b981",
+      transform: {
+        date:     { from: "Date" },
+        numeric: {
+          TotalCalls_numeric:        "Total Calls",
+          AnsweredCalls_numeric:     "Answered Calls",
+          MissedCalls_numeric:       "Missed Calls",
+          VoicemailCalls_numeric:    "Voicemail Calls",
+          TotalCallDuration_numeric: "Total Call Duration",
+          OutboundCalls_numeric:     "Outbound Calls"
+        },
+        required: ["Agent"]
+      },
+      dedupeKey: ["__chartDate", "Agent"]
+    },
+    outbound_connectrate: {
+      url: "./data/outbound_connectrate.csv", name: "Outbound Connect Rate", icon: "📤", color: "#10b981", grain: "call",
+      transform: {
+        filters:  [{ from: { firstOf: ["Initial Direction", "Direction"] }, equals: "outbound", reason: "Not an outbound call" }],
+        date:     { from: { field: "date" } },
+        // connected = talked for more than 2:30
+        derived:  { isConnected: { from: { field: "duration" }, fn: "connectedCall", default: false } },
+        numeric:  { duration_numeric: { field: "duration", ifPresent: true } },
+        required: ["Call ID"]
+      },
+      dedupeKey: ["Call ID"]
+    },
+    fcr: {
+      url: "./data/first_contact_resolution.csv", name: "First Contact Resolution", icon: "✅", color: "#f59e0b",
+      transform: {
+        date:     { compose: { year: "Year", month: "Month", day: "Date" }, minYear: 1900, incomplete: "Total row" },
+        numeric:  { Count_numeric: "Count" },
+        required: ["Year"],
+        totals:   { marker: "Total", value: "Count", sum: "Count_numeric", expectDays: [1, 2, 3, 4, 5] }
+      },
+      dedupeKey: ["__chartDate"]
+    }
   },
 
   fieldMappings: {
@@ -37,12 +111,45 @@ export const CONFIG = {
     }
   },
 
+  // Filters on a column's values, offered when the data has any. Each source
+  // entry names a logical field from fieldMappings or a processed `column`;
+  // `values` gives display labels for raw values.
+  categoryFilters: {
+    disposition: { label: "Disposition", sources: { inbound: { field: "status" } } },
+    direction:   { label: "Direction",   sources: { outbound_connectrate: { field: "direction" } } },
+    connected:   {
+      label: "Connected", sources: { outbound_connectrate: { column: "isConnected" } },
+      values: { true: "Connected", false: "Not connected" }
+    }
+  },
+
+  // Inbound service level: the share of offered calls answered within
+  // `seconds`, against a target %. Abandoned calls count as missed. Each
+  // threshold gets a KPI card; the first is also charted over time.
+  serviceLevel: [
+    { seconds: 20, target: 80 },
+    { seconds: 60, target: 95 }
+  ],
+
+  // Staffing planner defaults (Erlang C). Target and seconds default to the
+  // first service level; the page's own settings are saved in the browser.
+  staffing: { intervalMinutes: 30, shrinkage: 30 },
+
+  // better: "lower" marks KPIs where a fall is an improvement (for comparison deltas).
+  // perThreshold: one card per CONFIG.serviceLevel entry, {seconds} in the label.
   kpiConfig: {
     inbound: [
       { key: "totalCalls",    label: "Total Calls",      icon: "📞", color: "#3b82f6", format: "number" },
-      { key: "abandonRate",   label: "Abandon Rate",     icon: "📉", color: "#ef4444", format: "percentage", threshold: { warning: 10, critical: 20 } },
+      { key: "abandonRate",   label: "Abandon Rate",     icon: "📉", color: "#ef4444", format: "percentage", threshold: { warning: 10, critical: 20 }, better: "lower" },
       { key: "avgHandleTime", label: "Avg Handle Time",  icon: "⏱️", color: "#10b981", format: "duration" },
-      { key: "avgWaitTime",   label: "Avg Wait Time",    icon: "⏳", color: "#f59e0b", format: "duration", threshold: { warning: 120, critical: 300 } }
+      { key: "avgWaitTime",   label: "Avg Wait Time",    icon: "⏳", color: "#f59e0b", format: "duration", threshold: { warning: 120, critical: 300 }, better: "lower" },
+      { key: "serviceLevel",  label: "Answered within {seconds}s", icon: "🎯", color: "#10b981", format: "percentage", perThreshold: true },
+      { key: "waitP50",       label: "Wait Time p50",    icon: "⏳", color: "#f59e0b", format: "duration", better: "lower" },
+      { key: "waitP90",       label: "Wait Time p90",    icon: "⏳", color: "#f59e0b", format: "duration", better: "lower" },
+      { key: "waitP95",       label: "Wait Time p95",    icon: "⏳", color: "#f59e0b", format: "duration", better: "lower" },
+      { key: "talkP50",       label: "Talk Time p50",    icon: "💬", color: "#8b5cf6", format: "duration" },
+      { key: "talkP90",       label: "Talk Time p90",    icon: "💬", color: "#8b5cf6", format: "duration" },
+      { key: "talkP95",       label: "Talk Time p95",    icon: "💬", color: "#8b5cf6", format: "duration" }
     ],
     outbound: [
       { key: "totalCalls",    label: "Total Calls",      icon: "📞", color: "#3b82f6", format: "number" },
@@ -70,6 +177,11 @@ export const CONFIG = {
     failed:    ["failed","error","invalid","reject"]
   },
 
+  // Reporting timezone (IANA name). Timestamps without an offset are read as
+  // wall-clock times here, and days, weeks, months and date filters follow its
+  // calendar, including the BST/GMT changes.
+  timezone: "Europe/London",
+
   dateFormats: {
     display: "MMM DD, YYYY",
     input:   "YYYY-MM-DD",
@@ -91,6 +203,22 @@ export const CONFIG = {
     animation: { duration: 750, easing: "easeInOutQuart" }
   },
 
+  // Over-time charts. "auto" picks day, week (ISO), month or quarter: the
+  // finest whose limit in days covers the span of dates shown
+  timeSeries: {
+    granularity: "auto",
+    auto: { day: 62, week: 183, month: 731 }
+  },
+
+  // Volume forecasts on the inbound and outbound over-time charts: horizons
+  // offered (weeks), weeks held out to report accuracy, and the band's confidence %
+  forecast: { weeks: [2, 4, 8, 12], holdoutWeeks: 2, confidence: 95 },
+
+  // Unusual days: each day is compared with the same weekday in the `weeks`
+  // weeks either side, and flagged `threshold` robust standard deviations
+  // away. Needs `minHistory` such days; rates skip days under `minCalls` calls.
+  anomaly: { threshold: 3.5, weeks: 4, minHistory: 3, minCalls: 20 },
+
   export: {
     formats: ["csv","xlsx","json"],
     filename: { prefix: "call_performance_", dateFormat: "YYYYMMDD_HHmm" }
@@ -106,12 +234,55 @@ export const CONFIG = {
     // 🔸 broaden default range so Outbound/FCR appear on first load
     dateRange: { maxDays: 3650, defaultDays: 3650 },
     fileSize:  { maxSizeMB: 50 },
-    requiredFields: { inbound: [], outbound: [], fcr: [] }
+    // Logical fields (keys of fieldMappings) that must resolve to a column;
+    // if one doesn't, the column-mapping wizard opens for that source
+    requiredFields: {
+      inbound: ["date", "agent", "status", "duration"],
+      outbound: ["date", "agent"],
+      outbound_connectrate: ["date", "direction", "duration"],
+      fcr: ["count"]
+    }
   }
 };
 
-export function getFieldMapping(ds, fieldType){ return CONFIG.fieldMappings[ds]?.[fieldType] || []; }
-export function getKPIConfig(ds){ return CONFIG.kpiConfig[ds] || []; }
+// User-chosen header per logical field, saved by the column-mapping wizard.
+// Workers have no localStorage, so callers there receive mappings explicitly.
+const MAPPING_STORAGE_KEY = 'dashboard_field_mappings';
+
+export function getMappingOverrides(ds){
+  if(typeof localStorage === 'undefined') return {};
+  try {
+    const all = JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || '{}');
+    return all[ds] || {};
+  } catch {
+    return {};
+  }
+}
+export function setMappingOverrides(ds, overrides){
+  const all = JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || '{}');
+  if(overrides && Object.keys(overrides).length) all[ds] = overrides;
+  else delete all[ds];
+  localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(all));
+}
+// Configured candidates with any saved override tried first
+export function getFieldMappings(ds){
+  const base = CONFIG.fieldMappings[ds] || {};
+  const overrides = getMappingOverrides(ds);
+  const out = {};
+  Object.keys(base).forEach(f => {
+    out[f] = overrides[f] ? [overrides[f], ...base[f]] : [...base[f]];
+  });
+  return out;
+}
+export function getFieldMapping(ds, fieldType){ return getFieldMappings(ds)[fieldType] || []; }
+export function getKPIConfig(ds){
+  return (CONFIG.kpiConfig[ds] || []).flatMap(def => !def.perThreshold ? [def] : CONFIG.serviceLevel.map(({ seconds, target }) => ({
+    ...def,
+    key: `${def.key}_${seconds}`,
+    label: `${def.label.replace('{seconds}', seconds)} (target ${target}%)`,
+    target
+  })));
+}
 export function getColorScheme(scheme='primary'){ return CONFIG.colorSchemes[scheme] || CONFIG.colorSchemes.primary; }
 export function matchesStatusPattern(status, pattern){
   if(!status) return false;
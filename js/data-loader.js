@@ -1,304 +1,900 @@
 // js/data-loader.js
-import { CONFIG, getFieldMapping } from './config.js';
+import { CONFIG, getFieldMappings, getFieldMapping, getMappingOverrides } from './config.js';
 import {
   showError,
   hideError,
   showLoading,
   hideLoading,
   updateProgress,
-  normalizeHeader,
-  parseDate,
+  fetchWithRetry,
+  globToRegExp,
+  zonedTime,
+  zonedParts,
   cleanNumber,
-  isConnectedCall
+  addDays,
+  comparisonRange
 } from './utils.js';
+import {
+  processData,
+  createDiagnostics,
+  finalizeDiagnostics,
+  mergeDiagnostics,
+  findBestMatch,
+  CSV_PARSE_OPTIONS
+} from './row-processor.js';
+import cacheStore, { fingerprint } from './cache-store.js';
+
+function isSpreadsheet(name, buffer) {
+  if (/\.(xlsx|xlsm|xlsb|xls)(\?.*)?$/i.test(name || '')) return true;
+  const b = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  const zip = b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04;   // XLSX (PK zip)
+  const ole = b[0] === 0xd0 && b[1] === 0xcf && b[2] === 0x11 && b[3] === 0xe0;   // legacy XLS
+  return zip || ole;
+}
 
-function isBlank(val) {
-  return val == null || String(val).trim() === '';
+function cellToString(cell) {
+  if (!cell || cell.v == null) return '';
+  if (cell.t === 'e') return '';
+  if (cell.t === 'b') return cell.v ? 'TRUE' : 'FALSE';
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    // Time-only formats (durations) carry no day/month/year tokens
+    if (!/[dy]/i.test(String(cell.z).replace(/\[[^\]]*\]|"[^"]*"/g, ''))) {
+      const secs = Math.round(cell.v * 86400);
+      const hh = Math.floor(secs / 3600), mm = Math.floor((secs % 3600) / 60), ss = secs % 60;
+      return [hh, mm, ss].map(n => String(n).padStart(2, '0')).join(':');
+    }
+    return String(cell.v);
+  }
+  return String(cell.v);
 }
 
 class DataLoader {
   constructor() {
     this.data = {};
     this.metadata = {};
-    this.isLoading = false;
+    this.uploads = {}; // key -> File[] that replaced the configured URL
+    this.filters = {}; // date range last requested, passed to API sources
+    this.loading = null; // in-flight loadAll
+    this.apiRequests = {}; // key -> number of the newest API request
+
+    this.worker = null;
+    this.workerFailed = false;
+    this.jobs = new Map(); // job id -> { key, payload, resolve, reject, onProgress }
+    this.nextJobId = 0;
+  }
+
+  /**
+   * Load every source. With `background`, no loading overlay is shown and a
+   * source that fails keeps the rows it already has (e.g. from the cache).
+   * One load runs at a time; a call during one runs after it. Without
+   * filters the date range last requested when the load starts is used.
+   */
+  loadAll(filters = null, options = {}) {
+    if (this.loading) return this.loading.then(() => this.loadAll(filters, options));
+    this.loading = this.runLoadAll(filters, options).finally(() => {
+      this.loading = null;
+    });
+    return this.loading;
   }
 
-  async loadAll() {
-    if (this.isLoading) return;
-    this.isLoading = true;
-    hideError();
-    showLoading('Initializing data load...', 0);
+  async runLoadAll(filters, { background = false } = {}) {
+    if (filters) this.filters = { ...filters };
+    if (!background) {
+      hideError();
+      showLoading('Initializing data load...', 0);
+    }
 
-    try {
-      const keys = Object.keys(CONFIG.dataSources);
-      let done = 0;
-
-      const results = await Promise.all(
-        keys.map(async (key) => {
-          try {
-            const res = await this.loadDataSource(key);
-            done += 1;
-            updateProgress((done / keys.length) * 100, `Loaded ${CONFIG.dataSources[key].name}`);
-            return { key, ...res };
-          } catch (e) {
-            console.error(`✗ Failed to load ${key}:`, e);
-            done += 1;
-            updateProgress((done / keys.length) * 100);
-            return { key, data: [], metadata: {}, error: e.message };
-          }
-        })
-      );
+    const keys = Object.keys(CONFIG.dataSources);
+    const progress = Object.fromEntries(keys.map(k => [k, 0]));
+    const report = (key, fraction, text) => {
+      progress[key] = fraction;
+      const total = keys.reduce((s, k) => s + progress[k], 0) / keys.length;
+      if (!background) updateProgress(total * 100, text);
+    };
 
-      results.forEach(({ key, data, metadata, error }) => {
-        if (error) {
-          showError(`Failed to load ${CONFIG.dataSources[key].name}: ${error}`);
+    const results = await Promise.all(
+      keys.map(async (key) => {
+        const name = CONFIG.dataSources[key].name;
+        try {
+          const res = await this.loadDataSource(key, (f) => report(key, f, `Parsing ${name}...`));
+          report(key, 1, `Loaded ${name}`);
+          return { key, ...res };
+        } catch (e) {
+          console.error(`✗ Failed to load ${key}:`, e);
+          report(key, 1);
+          return { key, data: [], metadata: {}, error: e.message };
         }
-        this.data[key] = data;
-        this.metadata[key] = metadata;
-      });
+      })
+    );
+
+    results.forEach(({ key, data, metadata, error, stale }) => {
+      if (stale) return;
+      if (error) {
+        if (!background) showError(`Failed to load ${CONFIG.dataSources[key].name}: ${error}`);
+        if (background && this.data[key]?.length) return;
+      }
+      this.data[key] = data;
+      this.metadata[key] = metadata;
+    });
 
+    if (!background) {
       updateProgress(100, 'Data loaded successfully!');
       setTimeout(hideLoading, 500);
+    }
+
+    return this.data;
+  }
+
+  async loadDataSource(key, onProgress) {
+    if (this.uploads[key]) return this.processFiles(key, this.uploads[key], onProgress);
+
+    const src = CONFIG.dataSources[key];
+    if (src.type === 'api') return this.requestApiSource(key, this.filters, onProgress);
+    if (src.files || src.manifest) return this.loadMultiFileSource(key, onProgress);
+
+    let buffer;
+    try {
+      const resp = await fetch(src.url);
+      if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`);
+      buffer = await resp.arrayBuffer();
+    } catch (e) {
+      return this.cachedFallback(key, src.url, e);
+    }
+
+    return this.withCache(src.url, await this.fingerprintFor(key, buffer), () =>
+      this.processBuffer(key, buffer, src.url, { origin: 'url', file: src.url }, onProgress));
+  }
+
+  /**
+   * Load every file listed by src.files (URLs or glob patterns) or
+   * src.manifest, then concatenate and de-duplicate them. The merged result
+   * is cached as a whole, keyed by the combined fingerprint of all files.
+   */
+  async loadMultiFileSource(key, onProgress) {
+    const cacheUrl = this.cacheUrl(key);
+    let buffers;
+    try {
+      const urls = await this.resolveFileList(CONFIG.dataSources[key]);
+      if (!urls.length) throw new Error('No files matched the source\'s file list');
+      buffers = await Promise.all(urls.map(async (url) => {
+        const resp = await fetch(url);
+        if (!resp.ok) throw new Error(`${url}: ${resp.status} ${resp.statusText}`);
+        return { url, buffer: await resp.arrayBuffer() };
+      }));
+    } catch (e) {
+      return this.cachedFallback(key, cacheUrl, e);
+    }
+
+    const fps = await Promise.all(buffers.map(b => this.fingerprintFor(key, b.buffer)));
+    const fp = await fingerprint(buffers.map((b, i) => `${b.url}=${fps[i]}`).join('\n'));
+
+    return this.withCache(cacheUrl, fp, async () => {
+      const parts = [];
+      for (let i = 0; i < buffers.length; i++) {
+        const { url, buffer } = buffers[i];
+        const report = (f) => onProgress?.((i + f) / buffers.length);
+        parts.push(await this.processBuffer(key, buffer, url, { origin: 'url', file: url }, report));
+      }
+      return this.mergeParts(key, parts, { origin: 'url', file: buffers.map(b => b.url).join(', ') });
+    });
+  }
+
+  async resolveFileList(src) {
+    const base = window.location.href;
+    if (src.manifest) {
+      const manifestUrl = new URL(src.manifest, base).href;
+      const resp = await fetch(manifestUrl);
+      if (!resp.ok) throw new Error(`Manifest ${src.manifest}: ${resp.status} ${resp.statusText}`);
+      const body = await resp.json();
+      const entries = Array.isArray(body) ? body : body.files;
+      if (!Array.isArray(entries)) throw new Error(`Manifest ${src.manifest} has no file list`);
+      return this.expandPatterns(entries, manifestUrl);
+    }
+    return this.expandPatterns(src.files, base);
+  }
+
+  // Resolve entries against base; globs (* and ?) are matched against the
+  // directory listing the web server returns for the pattern's folder
+  async expandPatterns(entries, base) {
+    const urls = [];
+    for (const entry of entries) {
+      if (!/[*?]/.test(entry)) {
+        urls.push(new URL(entry, base).href);
+        continue;
+      }
+
+      const slash = entry.lastIndexOf('/');
+      const dirUrl = new URL(slash >= 0 ? entry.slice(0, slash + 1) : './', base);
+      const re = globToRegExp(entry.slice(slash + 1));
+      const resp = await fetch(dirUrl.href);
+      if (!resp.ok) throw new Error(`Cannot list ${dirUrl.pathname} for "${entry}": ${resp.status} ${resp.statusText}`);
+
+      const html = await resp.text();
+      const matches = [...html.matchAll(/href\s*=\s*["']([^"'#?]+)["']/gi)]
+        .map(m => new URL(m[1], dirUrl))
+        .filter(u => u.href.startsWith(dirUrl.href))
+        .filter(u => re.test(decodeURIComponent(u.href.slice(dirUrl.href.length))))
+        .map(u => u.href);
+      urls.push(...[...new Set(matches)].sort());
+    }
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Concatenate per-file results, dropping rows whose src.dedupeKey values
+   * already appeared in an earlier file. Repeats within one file are kept,
+   * as a single export can legitimately hold several rows per key.
+   */
+  mergeParts(key, parts, origin) {
+    const keyCols = CONFIG.dataSources[key].dedupeKey || [];
+    const rowKey = (r) => {
+      const vals = keyCols.map(c => (r[c] instanceof Date ? r[c].getTime() : r[c] ?? ''));
+      return vals.some(v => String(v).trim() !== '') ? vals.join('\u0001') : null;
+    };
+
+    const seen = new Set();
+    const data = [];
+    const files = [];
+    let duplicatesRemoved = 0;
+
+    parts.forEach(part => {
+      const fileKeys = new Set();
+      let duplicates = 0;
+      part.data.forEach(r => {
+        const k = keyCols.length ? rowKey(r) : null;
+        if (k !== null) {
+          if (seen.has(k)) {
+            duplicates++;
+            return;
+          }
+          fileKeys.add(k);
+        }
+        data.push(r);
+      });
+      fileKeys.forEach(k => seen.add(k));
+      files.push({ file: part.metadata.file, rows: part.data.length, duplicates });
+      duplicatesRemoved += duplicates;
+    });
+
+    const diagnostics = mergeDiagnostics(parts.map(p => p.metadata.diagnostics));
+    const metadata = { ...this.buildMetadata(key, data, origin, diagnostics), files, duplicatesRemoved };
+    return { data, metadata };
+  }
+
+  // Content fingerprint plus the reporting timezone and any saved column
+  // mapping, both of which change the output
+  async fingerprintFor(key, content) {
+    const fp = `${await fingerprint(content)}@${CONFIG.timezone}`;
+    const overrides = getMappingOverrides(key);
+    return Object.keys(overrides).length ? `${fp}|${JSON.stringify(overrides)}` : fp;
+  }
+
+  /**
+   * Return the cached rows for url if its fingerprint still matches,
+   * otherwise run produce() and cache what it returns.
+   */
+  async withCache(url, fp, produce) {
+    const cached = await cacheStore.get(url);
+    const checkedAt = new Date().toISOString();
+    if (cached && cached.fingerprint === fp) {
+      return { data: cached.data, metadata: { ...cached.metadata, checkedAt } };
+    }
+
+    const res = await produce();
+    res.metadata = { ...res.metadata, fingerprint: fp, cachedAt: checkedAt, checkedAt };
+    await cacheStore.put(url, fp, res.data, res.metadata);
+    return res;
+  }
+
+  // Network failed: serve the last cached copy (marked stale) if there is one
+  async cachedFallback(key, url, error) {
+    const cached = await cacheStore.get(url);
+    if (!cached) throw error;
+    console.warn(`Using cached ${key} after load failure:`, error.message);
+    return { data: cached.data, metadata: { ...cached.metadata, stale: true } };
+  }
+
+  /**
+   * Populate data/metadata from IndexedDB without touching the network.
+   * Returns the keys that were found in the cache.
+   */
+  async loadFromCache(filters = this.filters) {
+    this.filters = { ...filters };
+    const keys = Object.keys(CONFIG.dataSources).filter(k => !this.uploads[k]);
+    const found = [];
+
+    await Promise.all(keys.map(async (key) => {
+      const cached = await cacheStore.get(this.cacheUrl(key));
+      if (!cached) return;
+      this.data[key] = cached.data;
+      this.metadata[key] = { ...cached.metadata, fromCache: true };
+      found.push(key);
+    }));
+    return found;
+  }
+
+  // Cache key for a source: its URL, API URL, or a pseudo-URL for file lists
+  cacheUrl(key) {
+    const src = CONFIG.dataSources[key];
+    if (src.type === 'api') return this.apiUrl(key, this.filters);
+    if (src.manifest) return `${key}:manifest:${src.manifest}`;
+    if (src.files) return `${key}:files:${src.files.join('|')}`;
+    return src.url;
+  }
+
+  /**
+   * Re-fetch every source in the background; returns the keys whose
+   * content fingerprint changed (and so need re-rendering).
+   */
+  async revalidate() {
+    const before = Object.fromEntries(
+      Object.keys(CONFIG.dataSources).map(k => [k, this.metadata[k]?.fingerprint])
+    );
+    await this.loadAll(null, { background: true });
+    return Object.keys(before).filter(k => this.metadata[k]?.fingerprint !== before[k]);
+  }
+
+  async clearCache() {
+    await cacheStore.clear();
+    Object.values(this.metadata).forEach(m => {
+      delete m.cachedAt;
+      delete m.fromCache;
+    });
+  }
+
+  // Oldest cachedAt across loaded sources, or null if nothing came from the cache
+  getCacheAge() {
+    const times = Object.values(this.metadata)
+      .map(m => m?.cachedAt && Date.parse(m.cachedAt))
+      .filter(Boolean);
+    return times.length ? new Date(Math.min(...times)) : null;
+  }
 
-      return this.data;
-    } finally {
-      this.isLoading = false;
+  /**
+   * loadApiSource, numbered per source: when a newer request for the source
+   * was made meanwhile (say the date range changed again), this one resolves
+   * { stale: true }, win or fail, so an old range never overwrites a new one
+   */
+  async requestApiSource(key, filters, onProgress) {
+    const seq = (this.apiRequests[key] || 0) + 1;
+    this.apiRequests[key] = seq;
+    try {
+      const res = await this.loadApiSource(key, filters, onProgress);
+      return seq === this.apiRequests[key] ? res : { stale: true };
+    } catch (e) {
+      if (seq !== this.apiRequests[key]) return { stale: true };
+      throw e;
+    }
+  }
+
+  /**
+   * Pull a source from CONFIG.api.baseUrl + src.endpoint, passing the date
+   * range as query params. JSON responses are flattened to the same
+   * string-valued rows a CSV yields; CSV responses use the normal parser.
+   */
+  async loadApiSource(key, filters = {}, onProgress) {
+    const src = CONFIG.dataSources[key];
+    const url = this.apiUrl(key, filters);
+
+    let text, contentType;
+    try {
+      const resp = await fetchWithRetry(url, {
+        headers: { Accept: src.format === 'csv' ? 'text/csv' : 'application/json' }
+      });
+      if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`);
+      contentType = resp.headers.get('content-type') || '';
+      text = await resp.text();
+    } catch (e) {
+      return this.cachedFallback(key, url, e);
     }
+
+    const origin = { origin: 'api', file: url };
+    return this.withCache(url, await this.fingerprintFor(key, text), () => {
+      if (src.format === 'csv' || (!src.format && /csv|text\/plain/.test(contentType))) {
+        return this.processText(key, text, origin, onProgress);
+      }
+      return this.processRows(key, this.normalizeApiRows(JSON.parse(text), src.responsePath), origin, onProgress);
+    });
   }
 
-  async loadDataSource(key) {
+  apiUrl(key, filters = {}) {
     const src = CONFIG.dataSources[key];
-    const resp = await fetch(src.url);
-    if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`);
-    const text = await resp.text();
+    const query = { start: 'startDate', end: 'endDate', ...src.query };
+    const url = new URL(CONFIG.api.baseUrl.replace(/\/$/, '') + src.endpoint, window.location.href);
+    // Fetch the comparison range too, so both come from one request
+    const compare = comparisonRange(filters);
+    const start = compare && compare.startDate < filters.startDate ? compare.startDate : filters.startDate;
+    const end = compare && compare.endDate > filters.endDate ? compare.endDate : filters.endDate;
+    if (start) url.searchParams.set(query.start, start);
+    if (end) url.searchParams.set(query.end, end);
+    Object.entries(src.params || {}).forEach(([k, v]) => url.searchParams.set(k, v));
+    return url.toString();
+  }
+
+  normalizeApiRows(body, path) {
+    let rows = body;
+    if (path) rows = path.split('.').reduce((o, k) => (o == null ? o : o[k]), body);
+    else if (!Array.isArray(body)) rows = body?.data ?? body?.rows ?? body?.results;
+    if (!Array.isArray(rows)) throw new Error(`API response has no row array${path ? ` at "${path}"` : ''}`);
+
+    return rows.map(item => {
+      const row = {};
+      Object.entries(item || {}).forEach(([k, v]) => {
+        if (v == null) row[k] = '';
+        else if (v instanceof Date) row[k] = v.toISOString();
+        else if (typeof v === 'object') row[k] = JSON.stringify(v);
+        else row[k] = String(v);
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Required fields (CONFIG.validation.requiredFields) that no column in the
+   * last loaded file resolved to, with the file's headers and sample rows.
+   */
+  getUnresolvedFields(key) {
+    const info = this.getMappingInfo(key);
+    return info?.fields.length ? info : null;
+  }
+
+  getMappingInfo(key) {
+    const diag = this.metadata[key]?.diagnostics;
+    if (!diag?.unmappedColumns) return null;
+    const required = CONFIG.validation.requiredFields[key] || [];
+    const missing = diag.unmappedColumns.map(u => u.field).filter(f => required.includes(f));
+    return { fields: missing, headers: diag.headers || [], preview: diag.preview || [] };
+  }
+
+  // Re-read one source, e.g. after its column mapping changed
+  async reloadSource(key) {
+    const { data, metadata, stale } = await this.loadDataSource(key);
+    if (stale) return this.data[key];
+    this.data[key] = data;
+    this.metadata[key] = metadata;
+    return data;
+  }
+
+  hasApiSources() {
+    return Object.values(CONFIG.dataSources).some(src => src.type === 'api');
+  }
+
+  // Date range changed: only API sources depend on it server-side
+  async reloadApiSources(filters = {}) {
+    this.filters = { ...filters };
+    const keys = Object.keys(CONFIG.dataSources).filter(k => CONFIG.dataSources[k].type === 'api' && !this.uploads[k]);
+    await Promise.all(keys.map(async (key) => {
+      try {
+        const { data, metadata, stale } = await this.requestApiSource(key, this.filters);
+        if (stale) return;
+        this.data[key] = data;
+        this.metadata[key] = metadata;
+      } catch (e) {
+        console.error(`✗ Failed to reload ${key}:`, e);
+        showError(`Failed to load ${CONFIG.dataSources[key].name}: ${e.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Load user-supplied files (drag-and-drop or file picker) into a source,
+   * replacing whatever that source currently holds in memory. Several files
+   * are merged and de-duplicated like a multi-file source; they are kept and
+   * re-read on refresh.
+   */
+  async loadFiles(key, files) {
+    if (!CONFIG.dataSources[key]) throw new Error(`Unknown data source: ${key}`);
+
+    const maxMB = CONFIG.validation.fileSize.maxSizeMB;
+    const tooBig = files.find(f => f.size > maxMB * 1024 * 1024);
+    if (tooBig) throw new Error(`${tooBig.name} is larger than the ${maxMB} MB limit`);
+
+    const res = await this.processFiles(key, files);
+    this.uploads[key] = files;
+    this.data[key] = res.data;
+    this.metadata[key] = res.metadata;
+    return res;
+  }
+
+  async processFiles(key, files, onProgress) {
+    if (files.length === 1) return this.processFile(key, files[0], onProgress);
+
+    const parts = [];
+    for (let i = 0; i < files.length; i++) {
+      parts.push(await this.processFile(key, files[i], (f) => onProgress?.((i + f) / files.length)));
+    }
+    return this.mergeParts(key, parts, { origin: 'upload', file: files.map(f => f.name).join(', ') });
+  }
+
+  async processFile(key, file, onProgress) {
+    const buffer = await file.arrayBuffer();
+    return this.processBuffer(key, buffer, file.name, { origin: 'upload', file: file.name }, onProgress);
+  }
+
+  // Route raw bytes to the spreadsheet or delimited-text parser
+  async processBuffer(key, buffer, name, origin = {}, onProgress) {
+    if (!buffer || buffer.byteLength === 0) throw new Error('Empty data file');
+
+    if (isSpreadsheet(name, buffer)) {
+      const parsed = this.parseSpreadsheet(buffer, CONFIG.dataSources[key].sheet);
+      return this.processRows(key, parsed, origin, onProgress);
+    }
+
+    const { data, diagnostics } = await this.runParser(key, { buffer }, onProgress);
+    return { data, metadata: this.buildMetadata(key, data, origin, diagnostics) };
+  }
+
+  async processText(key, text, origin = {}, onProgress) {
     if (!text.trim()) throw new Error('Empty data file');
 
-    const parsed = await this.parseCSV(text);
-    const data = this.processData(parsed, key);
+    const { data, diagnostics } = await this.runParser(key, { text }, onProgress);
+    return { data, metadata: this.buildMetadata(key, data, origin, diagnostics) };
+  }
+
+  // Rows already split into objects (spreadsheets, JSON APIs) still need mapping
+  async processRows(key, rows, origin = {}, onProgress) {
+    const { data, diagnostics } = await this.runParser(key, { rows }, onProgress);
+    return { data, metadata: this.buildMetadata(key, data, origin, diagnostics) };
+  }
+
+  /**
+   * Parse and process a payload ({ buffer } | { text } | { rows }) in
+   * parse-worker.js, reporting per-chunk progress as a 0..1 fraction.
+   * Resolves to { data, diagnostics }.
+   * Falls back to the main thread when a module worker can't be started.
+   */
+  runParser(key, payload, onProgress) {
+    const worker = this.getWorker();
+    if (!worker) return this.parseInline(key, payload, onProgress);
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextJobId;
+      this.jobs.set(id, { key, payload, resolve, reject, onProgress });
+      // Transfer a copy so the caller's buffer stays usable for the inline fallback
+      const map = getFieldMappings(key);
+      const msg = payload.buffer ? { id, key, map, buffer: payload.buffer.slice(0) } : { id, key, map, ...payload };
+      worker.postMessage(msg, msg.buffer ? [msg.buffer] : []);
+    });
+  }
+
+  getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
+    if (typeof Worker === 'undefined') {
+      this.workerFailed = true;
+      return null;
+    }
+
+    try {
+      this.worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+      console.warn('Parse worker unavailable, parsing on the main thread:', e);
+      this.workerFailed = true;
+      return null;
+    }
+
+    this.worker.onmessage = (e) => {
+      const { id, type } = e.data;
+      const job = this.jobs.get(id);
+      if (!job) return;
+      if (type === 'progress') {
+        job.onProgress?.(e.data.fraction);
+      } else if (type === 'done') {
+        this.jobs.delete(id);
+        job.resolve({ data: e.data.data, diagnostics: e.data.diagnostics });
+      } else if (type === 'error') {
+        this.jobs.delete(id);
+        job.reject(new Error(e.data.message));
+      }
+    };
+
+    // A worker that fails to load (e.g. its imports can't be fetched) never
+    // answers, so hand any pending jobs to the main thread instead
+    this.worker.onerror = (e) => {
+      console.warn('Parse worker failed, parsing on the main thread:', e.message || e);
+      e.preventDefault?.();
+      this.worker.terminate();
+      this.worker = null;
+      this.workerFailed = true;
+
+      const pending = Array.from(this.jobs.values());
+      this.jobs.clear();
+      pending.forEach(job => {
+        this.parseInline(job.key, job.payload, job.onProgress).then(job.resolve, job.reject);
+      });
+    };
+
+    return this.worker;
+  }
+
+  async parseInline(key, payload, onProgress) {
+    let rows = payload.rows;
+    if (!rows) {
+      const text = payload.buffer ? new TextDecoder('utf-8').decode(payload.buffer) : payload.text;
+      rows = await this.parseCSV(text);
+    }
+    const diag = createDiagnostics(key);
+    const data = processData(rows, key, diag, getFieldMappings(key));
+    onProgress?.(1);
+    return { data, diagnostics: finalizeDiagnostics(diag) };
+  }
 
+  buildMetadata(key, data, origin = {}, diagnostics = null) {
+    const src = CONFIG.dataSources[key];
     const dates = data.map(r => r.date_parsed).filter(Boolean).sort((a, b) => a - b);
-    const meta = {
+    return {
       source: src.name,
+      origin: origin.origin || 'url',
+      file: origin.file || src.url,
       rowCount: data.length,
       columns: data.length ? Object.keys(data[0]) : [],
       loadedAt: new Date().toISOString(),
-      dateRange: dates.length ? { start: dates[0], end: dates[dates.length - 1], count: dates.length } : null
+      dateRange: dates.length ? { start: dates[0], end: dates[dates.length - 1], count: dates.length } : null,
+      diagnostics
     };
-    return { data, metadata: meta };
   }
 
   parseCSV(text) {
     return new Promise((resolve, reject) => {
       Papa.parse(text, {
-        header: true,
-        skipEmptyLines: 'greedy',
-        dynamicTyping: false,
-        delimitersToGuess: [',', '\t', ';', '|'],
-        transformHeader: (h) => h.trim().replace(/^\uFEFF/, ''),
+        ...CSV_PARSE_OPTIONS,
         complete: (res) => resolve(res.data),
         error: (err) => reject(new Error(`CSV parsing failed: ${err.message}`))
       });
     });
   }
 
-  processData(rows, key) {
-    if (!rows || rows.length === 0) return [];
-    const map = CONFIG.fieldMappings[key] || {};
-    const out = [];
+  /**
+   * Read one sheet of an XLSX/XLS workbook into the same row objects Papa
+   * produces: header-keyed strings, with date cells left as Excel serials for
+   * parseDate and time-only cells rendered as HH:MM:SS like the CSV exports.
+   */
+  parseSpreadsheet(buffer, sheet) {
+    if (!window.XLSX) throw new Error('Spreadsheet support (SheetJS) not available');
 
-    for (const row of rows) {
-      try {
-        const r = this.processRow(row, map, key);
-        if (this.isValidRow(r, key)) out.push(r);
-      } catch (e) {
-        console.warn(`Row skipped:`, e);
-      }
+    let wb;
+    try {
+      wb = XLSX.read(new Uint8Array(buffer), { type: 'array', cellNF: true });
+    } catch (e) {
+      throw new Error(`Spreadsheet parsing failed: ${e.message}`);
     }
-    return out;
+
+    let sheetName = wb.SheetNames[0];
+    if (typeof sheet === 'number') sheetName = wb.SheetNames[sheet];
+    else if (sheet) sheetName = wb.SheetNames.find(n => n.trim().toLowerCase() === String(sheet).trim().toLowerCase());
+    if (!sheetName) throw new Error(`Sheet "${sheet}" not found (available: ${wb.SheetNames.join(', ')})`);
+
+    const ws = wb.Sheets[sheetName];
+    if (!ws || !ws['!ref']) return [];
+    const range = XLSX.utils.decode_range(ws['!ref']);
+
+    const headers = [];
+    const seen = {};
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      let h = cellToString(ws[XLSX.utils.encode_cell({ r: range.s.r, c })]).trim().replace(/^\uFEFF/, '');
+      if (h && seen[h] != null) h = `${h}_${++seen[h]}`;
+      else seen[h] = 0;
+      headers.push(h);
+    }
+
+    const rows = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const row = {};
+      let blank = true;
+      headers.forEach((h, i) => {
+        if (!h) return;
+        const v = cellToString(ws[XLSX.utils.encode_cell({ r, c: range.s.c + i })]);
+        if (v.trim() !== '') blank = false;
+        row[h] = v;
+      });
+      if (!blank) rows.push(row);
+    }
+    return rows;
   }
 
-  processRow(row, map, sourceKey) {
-    const r = {};
-    Object.keys(row).forEach(k => {
-      const ck = k.trim();
-      if (ck) r[ck] = row[k];
-    });
+  processData(rows, key) {
+    return processData(rows, key, null, getFieldMappings(key));
+  }
 
-    // ----- FCR -----
-    if (sourceKey === 'fcr') {
-      const year = cleanNumber(r.Year);
-      const month = cleanNumber(r.Month);
-	  const day = cleanNumber(r.Date);
-
-      if (year > 1900) {
-        let dt;
-        if (!isNaN(month) && month >= 1 && !isNaN(day) && day >= 1) {
-		  dt = new Date(year, month - 1, day);
-		} else {
-		  // Skip "Total" records entirely - don't assign a date
-		  return null; // This will filter out the record
-		  }
-        r.date_parsed = dt;
-        r.__chartDate = dt.getFullYear() + '-' + 
-                String(dt.getMonth() + 1).padStart(2, '0') + '-' + 
-                String(dt.getDate()).padStart(2, '0');
-      }
+  // Whole calendar days in CONFIG.timezone, so the bounds move with BST/GMT
+  filterByDateRange(key, startDate, endDate) {
+    const data = this.data[key] || [];
+    if (!startDate || !endDate) return data;
 
-      r.Count_numeric = cleanNumber(r.Count);
-    }
+    const [sy, sm, sd] = startDate.split('-').map(Number);
+    const [ey, em, ed] = endDate.split('-').map(Number);
+    const s = zonedTime(sy, sm, sd);
+    const e = zonedTime(ey, em, ed + 1);
+    if (isNaN(s.getTime()) || isNaN(e.getTime())) return data;
 
-	// ----- OUTBOUND_CONNECTRATE -----
-	if (sourceKey === 'outbound_connectrate') {
-	// Only process outbound calls - skip others
-	const direction = r['Initial Direction'] || r['Direction'];
-	if (!direction || direction.toLowerCase() !== 'outbound') {
-		return null; // This will be filtered out in processData
-	}
-
-	// Parse date from Date/Time (earliest)
-	const dateField = this.findBestMatch(Object.keys(r), map.date || ['Date/Time (earliest)', 'Date/Time', 'Date']);
-	if (dateField && r[dateField]) {
-		const pd = parseDate(r[dateField]);
-		if (pd) {
-		r.date_parsed = pd;
-		r.__chartDate = pd.getFullYear() + '-' + 
-                String(pd.getMonth() + 1).padStart(2, '0') + '-' + 
-                String(pd.getDate()).padStart(2, '0');
-		}
-	}
-
-	// Check if call was connected (duration > 2:30)
-	const durationField = this.findBestMatch(Object.keys(r), map.duration || ['Duration', 'Call Duration']);
-	if (durationField && r[durationField]) {
-		r.isConnected = isConnectedCall(r[durationField]);
-		r.duration_numeric = cleanNumber(r[durationField]); // For potential future use
-	} else {
-		r.isConnected = false;
-	}
-
-	console.log(`Processed outbound_connectrate row:`, {
-		callId: r['Call ID'],
-		date: r.__chartDate,
-		direction: direction,
-		duration: r[durationField],
-		isConnected: r.isConnected
-	});
-	}
-
-    // ----- OUTBOUND -----
-    if (sourceKey === 'outbound') {
-      if (r.Date) {
-        const pd = parseDate(r.Date);
-        if (pd) {
-          r.date_parsed = pd;
-          r.__chartDate = pd.getFullYear() + '-' + 
-                String(pd.getMonth() + 1).padStart(2, '0') + '-' + 
-                String(pd.getDate()).padStart(2, '0');
-        }
-      }
+    return data.filter(r => r.date_parsed && r.date_parsed >= s && r.date_parsed < e);
+  }
 
-      r.TotalCalls_numeric     = cleanNumber(r['Total Calls']);
-      r.AnsweredCalls_numeric  = cleanNumber(r['Answered Calls']);
-      r.MissedCalls_numeric    = cleanNumber(r['Missed Calls']);
-      r.VoicemailCalls_numeric = cleanNumber(r['Voicemail Calls']);
-      r.TotalCallDuration_numeric = cleanNumber(r['Total Call Duration']);
-	  r.OutboundCalls_numeric = cleanNumber(r['Outbound Calls']);
+  /**
+   * Rows of a source matching filters:
+   *   startDate, endDate  YYYY-MM-DD, in CONFIG.timezone
+   *   agents              names, or null for all
+   *   categories          { disposition: [values], ... } (CONFIG.categoryFilters)
+   *   hours               { from, to } hour of day, `to` exclusive; wraps past midnight when from > to
+   *   weekdays            [0-6], 0 = Sunday
+   * A filter is skipped for sources it can't apply to (see unappliedFilters):
+   * FCR has no agent column, and only call-level sources (grain: "call") have an hour.
+   */
+  getData(key, filters = {}) {
+    let data = this.data[key] || [];
+    if (filters.startDate && filters.endDate) {
+      data = this.filterByDateRange(key, filters.startDate, filters.endDate);
     }
-
-    // ----- INBOUND -----
-    if (sourceKey === 'inbound') {
-      const dateField = this.findBestMatch(Object.keys(r), map.date || ['Date/Time']);
-      if (dateField && r[dateField]) {
-        const pd = parseDate(r[dateField]);
-        if (pd) {
-          r.date_parsed = pd;
-          r.__chartDate = pd.toISOString().split('T')[0];
-        }
+    if (filters.agents?.length) {
+      const col = this.agentColumn(key);
+      if (col) {
+        const agents = new Set(filters.agents);
+        data = data.filter(r => agents.has(String(r[col] ?? '').trim()));
       }
-
-      const durF = this.findBestMatch(Object.keys(r), map.duration || ['Talk Time']);
-      const waitF = this.findBestMatch(Object.keys(r), map.waitTime || ['Wait Time']);
-      if (durF) r.duration_numeric = cleanNumber(r[durF]);
-      if (waitF) r.waitTime_numeric = cleanNumber(r[waitF]);
     }
-
-    console.log(`Processed ${sourceKey} row:`, r);
-	return r;
-	}
-
-  findBestMatch(headers, candidates) {
-    const norm = headers.map((h) => ({ orig: h, norm: normalizeHeader(h) }));
-    for (const c of candidates) {
-      const nc = normalizeHeader(c);
-      const hit = norm.find((h) => h.norm === nc);
-      if (hit) return hit.orig;
+    Object.entries(filters.categories || {}).forEach(([name, values]) => {
+      const col = values?.length && this.categoryColumn(key, name);
+      if (!col) return;
+      const allowed = new Set(values);
+      data = data.filter(r => allowed.has(String(r[col] ?? '').trim()));
+    });
+    if (filters.weekdays?.length) {
+      const days = new Set(filters.weekdays);
+      data = data.filter(r => r.__chartDate && days.has(new Date(`${r.__chartDate}T00:00:00Z`).getUTCDay()));
+    }
+    if (filters.hours && CONFIG.dataSources[key]?.grain === 'call') {
+      const { from, to } = filters.hours;
+      const inRange = from <= to ? (h) => h >= from && h < to : (h) => h >= from || h < to;
+      data = data.filter(r => r.date_parsed && inRange(zonedParts(r.date_parsed).hour));
     }
-    return null;
+    return data;
   }
 
-  isValidRow(row, key) {
-	// Handle null rows (filtered out in processRow)
-	if (row === null) return false;
-  
-	// Reject rows that are entirely blank
-	if (Object.values(row).every(v => isBlank(v))) return false;
+  /**
+   * Active filters getData skips for a source: 'agents' when it has no
+   * agent column, a category name when it has no column for that category,
+   * 'hours' when it isn't call-level
+   */
+  unappliedFilters(key, filters = {}) {
+    const skipped = [];
+    if (filters.agents?.length && !this.agentColumn(key)) skipped.push('agents');
+    Object.entries(filters.categories || {}).forEach(([name, values]) => {
+      if (values?.length && !this.categoryColumn(key, name)) skipped.push(name);
+    });
+    if (filters.hours && CONFIG.dataSources[key]?.grain !== 'call') skipped.push('hours');
+    return skipped;
+  }
 
-	if (key === 'outbound') {
-		// ✅ Only require Agent
-		return !isBlank(row.Agent);
-	}
+  // filters less any that one of the sources skips, so numbers combined
+  // across them (e.g. FCR cases over connected calls) are filtered alike
+  sharedFilters(keys, filters = {}) {
+    const skipped = new Set(keys.flatMap(key => this.unappliedFilters(key, filters)));
+    const out = { ...filters };
+    if (skipped.has('agents')) out.agents = null;
+    if (skipped.has('hours')) out.hours = null;
+    const categories = Object.entries(filters.categories || {}).filter(([name]) => !skipped.has(name));
+    out.categories = categories.length ? Object.fromEntries(categories) : null;
+    return out;
+  }
 
-	if (key === 'fcr') {
-		return !isBlank(row.Year); // only require Year
-	}
+  // Column a category filter reads in a loaded source, or null if it doesn't apply
+  categoryColumn(key, name) {
+    const ref = CONFIG.categoryFilters[name]?.sources[key];
+    const first = this.data[key]?.[0];
+    if (!ref || !first) return null;
+    if (ref.column) return ref.column in first ? ref.column : null;
+    return findBestMatch(Object.keys(first), getFieldMapping(key, ref.field));
+  }
 
-	if (key === 'outbound_connectrate') {
-		// Require Call ID - row won't be null here since we already filtered above
-		return !isBlank(row['Call ID']);
-	}
+  // Values each category filter can take, across the loaded sources
+  getFilterOptions() {
+    const out = {};
+    Object.entries(CONFIG.categoryFilters).forEach(([name, def]) => {
+      const values = new Set();
+      Object.keys(def.sources).forEach(key => {
+        const col = this.categoryColumn(key, name);
+        if (!col) return;
+        this.data[key].forEach(r => {
+          const v = String(r[col] ?? '').trim();
+          if (v) values.add(v);
+        });
+      });
+      out[name] = [...values].sort((a, b) => a.localeCompare(b));
+    });
+    return out;
+  }
 
-	if (key === 'inbound') {
-		// Unchanged: require Call ID
-		return !isBlank(row['Call ID']);
-	}
+  // Header holding the agent name in a loaded source, or null
+  agentColumn(key) {
+    const first = this.data[key]?.[0];
+    return first ? findBestMatch(Object.keys(first), getFieldMapping(key, 'agent')) : null;
+  }
 
-	return true;
-   }
+  // Every agent name across the loaded sources, sorted
+  getAgents() {
+    const names = new Set();
+    Object.keys(this.data).forEach(key => {
+      const col = this.agentColumn(key);
+      if (!col) return;
+      this.data[key].forEach(r => {
+        const name = String(r[col] ?? '').trim();
+        if (name) names.add(name);
+      });
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }
 
+  /**
+   * Check a source's stated totals (transform.totals, e.g. the FCR "Total"
+   * rows) against the sum of its daily rows. Months that have rows but no
+   * stated total are included as "untotalled". Periods overlapping the date
+   * filter are returned in order, each year before its months; null when the
+   * source has no stated totals.
+   */
+  getReconciliation(key, filters = {}) {
+    const spec = CONFIG.dataSources[key]?.transform?.totals;
+    const totals = this.metadata[key]?.diagnostics?.totals;
+    if (!spec || !totals?.length) return null;
+
+    const days = new Map(); // day key -> summed value
+    (this.data[key] || []).forEach(r => {
+      if (r.__chartDate) days.set(r.__chartDate, (days.get(r.__chartDate) || 0) + cleanNumber(r[spec.sum]));
+    });
+    const loaded = [...days.keys()].sort();
+    const expectDays = spec.expectDays || [0, 1, 2, 3, 4, 5, 6];
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const stated = new Map(totals.map(t => [t.month == null ? String(t.year) : `${t.year}-${pad(t.month)}`, t]));
+    loaded.forEach(d => {
+      const month = d.slice(0, 7);
+      if (!stated.has(month)) stated.set(month, { year: +d.slice(0, 4), month: +d.slice(5, 7), value: null });
+    });
 
-  filterByDateRange(key, startDate, endDate) {
-	const data = this.data[key] || [];
-	if (!startDate || !endDate) return data;
-  
-	// Use simple Date constructor instead of parseDate
-	const s = new Date(startDate + 'T00:00:00');
-	const e = new Date(endDate + 'T23:59:59');
-  
-	if (isNaN(s.getTime()) || isNaN(e.getTime())) return data;
-
-	return data.filter(r => {
-		if (!r.date_parsed) return false;
-		return r.date_parsed >= s && r.date_parsed <= e;
-	});
-	}
+    return [...stated.entries()]
+      .map(([period, t]) => {
+        const start = t.month == null ? `${t.year}-01-01` : `${period}-01`;
+        const end = t.month == null ? `${t.year}-12-31` : addDays(`${t.year}-${pad(t.month + 1)}-01`, -1);
+
+        let actual = 0, daysWithData = 0;
+        const missingDays = [];
+        for (let d = start; d <= end; d = addDays(d, 1)) {
+          if (days.has(d)) {
+            actual += days.get(d);
+            daysWithData++;
+          } else if (d >= loaded[0] && d <= loaded[loaded.length - 1] &&
+                     expectDays.includes(new Date(`${d}T00:00:00Z`).getUTCDay())) {
+            // Only days inside the loaded span count, so partial first/last months aren't flagged
+            missingDays.push(d);
+          }
+        }
 
-  getData(key, filters = {}) {
-  let data = this.data[key] || [];
-  if (filters.startDate && filters.endDate) {
-    const filtered = this.filterByDateRange(key, filters.startDate, filters.endDate);
-    data = filtered;
+        const difference = t.value == null ? null : actual - t.value;
+        let status = 'ok';
+        if (t.value == null) status = 'untotalled';
+        else if (difference !== 0) status = 'mismatch';
+        else if (missingDays.length) status = 'gaps';
+
+        return {
+          period, year: t.year, month: t.month, start, end,
+          stated: t.value, actual, difference, daysWithData, missingDays, status
+        };
+      })
+      .filter(p => (!filters.endDate || p.start <= filters.endDate) && (!filters.startDate || p.end >= filters.startDate))
+      .sort((a, b) => a.year - b.year || (a.month ?? 0) - (b.month ?? 0));
   }
-  return data;
-}
 
   getMetadata(key) {
     return this.metadata[key] || {};
   }
 
+  // Uploaded files survive clear() so a refresh re-reads them instead of the URL
   clear() {
     this.data = {};
     this.metadata = {};
   }
+
+  clearUpload(key) {
+    delete this.uploads[key];
+  }
 }
 
 export const dataLoader = new DataLoader();
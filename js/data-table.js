@@ -0,0 +1,332 @@
+// js/data-table.js - Sortable, searchable table that only renders the rows in view
+import { CONFIG } from './config.js';
+import { formatNumber, exportToCsv, debounce } from './utils.js';
+
+const OVERSCAN = 8; // rows rendered beyond each edge of the viewport
+const INPUT_DELAY = 200; // ms after typing in a search or filter box before re-filtering
+
+// "> 10", "<= 2.5", "= 0": a numeric comparison in a column filter
+const COMPARISON = /^(>=|<=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/;
+const COMPARE = {
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b
+};
+
+/**
+ * A table card over in-memory rows. Unlike the other modules this is a
+ * class to instantiate, one per table. options:
+ *   title, noun          heading, and what a row is ("agents") for the count
+ *   columns              [{ key, label, format, value(row), text(row), className }]:
+ *                        value (default row[key]) sorts and exports, text
+ *                        (default formatNumber of it, or the string) shows
+ *   rows                 the data
+ *   sort                 { key, dir: 'asc' | 'desc' } to start with
+ *   rowHeight, height    px; rows must fit rowHeight for scrolling to line up
+ *   exportName           CSV file name without extension; omit for no export
+ *   onRowClick(row)      makes rows clickable; the last clicked stays highlighted
+ *   columnFilters        adds a filter box under each heading: text to
+ *                        match, or a comparison such as "> 60" for numbers
+ *   columnPicker         adds a menu to show and hide columns
+ *   hidden               keys of columns hidden to start with
+ *   onColumnsChange(hidden)  called with the hidden keys after a change
+ * Place `element` in the page.
+ */
+export class DataTable {
+  constructor(options) {
+    this.options = { noun: 'rows', rowHeight: 40, height: 480, ...options };
+    this.columns = this.options.columns;
+    this.rows = this.options.rows || [];
+    this.sort = this.options.sort || null;
+    this.query = '';
+    this.filters = {};       // column key -> filter text
+    this.hidden = new Set(this.options.hidden || []);
+    this.selected = null;    // last clicked row
+    this.view = [];          // rows after search, filters and sort
+    this.frame = null;       // pending animation frame for scroll rendering
+    this.element = this.build();
+    this.refresh();
+  }
+
+  setRows(rows) {
+    this.rows = rows;
+    this.refresh();
+  }
+
+  visibleColumns() {
+    return this.columns.filter(c => !this.hidden.has(c.key));
+  }
+
+  value(column, row) {
+    return column.value ? column.value(row) : row[column.key];
+  }
+
+  text(column, row) {
+    if (column.text) return column.text(row);
+    const v = this.value(column, row);
+    if (v == null || v === '') return '—';
+    return typeof v === 'number' ? formatNumber(v, column.format) : String(v);
+  }
+
+  // Does row pass a column's filter text?
+  matches(column, row, filter) {
+    const comparison = filter.match(COMPARISON);
+    if (comparison) {
+      const v = this.value(column, row);
+      const n = typeof v === 'number' ? v : parseFloat(v);
+      return !Number.isNaN(n) && COMPARE[comparison[1]](n, Number(comparison[2]));
+    }
+    return this.text(column, row).toLowerCase().includes(filter.toLowerCase());
+  }
+
+  build() {
+    const { title, height, exportName, columnPicker } = this.options;
+    const card = document.createElement('div');
+    card.className = 'table-container data-table-card';
+
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const heading = document.createElement('h3');
+    heading.className = 'table-title';
+    heading.textContent = title;
+    const tools = document.createElement('div');
+    tools.className = 'data-table-tools';
+    this.countEl = document.createElement('span');
+    this.countEl.className = 'data-table-count';
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'data-table-search';
+    search.placeholder = 'Search…';
+    search.setAttribute('aria-label', `Search ${title}`);
+    const refreshSoon = debounce(() => this.refresh(), INPUT_DELAY);
+    search.addEventListener('input', () => {
+      this.query = search.value.trim().toLowerCase();
+      refreshSoon();
+    });
+    tools.append(this.countEl, search);
+    if (columnPicker) tools.appendChild(this.buildColumnPicker());
+    if (exportName) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn-secondary';
+      btn.textContent = '💾 CSV';
+      btn.title = 'Download these rows as CSV';
+      btn.addEventListener('click', () => this.exportCsv());
+      tools.appendChild(btn);
+    }
+    header.append(heading, tools);
+    card.appendChild(header);
+
+    this.scroller = document.createElement('div');
+    this.scroller.className = 'table-wrapper data-table-scroll';
+    this.scroller.style.maxHeight = `${height}px`;
+    this.scroller.addEventListener('scroll', () => {
+      if (this.frame) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.renderBody();
+      });
+    });
+
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.style.setProperty('--row-height', `${this.options.rowHeight}px`);
+    this.head = document.createElement('thead');
+    this.body = document.createElement('tbody');
+    if (this.options.onRowClick) {
+      this.body.classList.add('clickable');
+      this.body.addEventListener('click', (e) => {
+        const tr = e.target.closest('tr[data-index]');
+        if (!tr) return;
+        this.selected = this.view[+tr.dataset.index];
+        this.renderBody();
+        this.options.onRowClick(this.selected);
+      });
+    }
+    this.head.addEventListener('input', (e) => {
+      const key = e.target.dataset?.filter;
+      if (key == null) return;
+      const text = e.target.value.trim();
+      if (text) this.filters[key] = text;
+      else delete this.filters[key];
+      refreshSoon();
+    });
+    table.append(this.head, this.body);
+    this.scroller.appendChild(table);
+    card.appendChild(this.scroller);
+    this.renderHead();
+    return card;
+  }
+
+  buildColumnPicker() {
+    const menu = document.createElement('details');
+    menu.className = 'data-table-columns';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Columns';
+    const list = document.createElement('div');
+    list.className = 'data-table-columns-list';
+    this.columns.forEach(column => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = column.key;
+      box.checked = !this.hidden.has(column.key);
+      label.append(box, document.createTextNode(column.label));
+      list.appendChild(label);
+    });
+    list.addEventListener('change', (e) => {
+      const key = e.target.value;
+      if (e.target.checked) this.hidden.delete(key);
+      else if (this.visibleColumns().length > 1) this.hidden.add(key);
+      else e.target.checked = true; // keep at least one column
+      this.options.onColumnsChange?.([...this.hidden]);
+      this.renderHead();
+      this.refresh();
+    });
+    menu.append(summary, list);
+    return menu;
+  }
+
+  // Headings (sort buttons) and, with columnFilters, a row of filter boxes
+  renderHead() {
+    const columns = this.visibleColumns();
+    const sortRow = document.createElement('tr');
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      if (column.className) th.className = column.className;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'data-table-sort';
+      btn.textContent = column.label;
+      btn.addEventListener('click', () => this.sortBy(column.key));
+      th.appendChild(btn);
+      sortRow.appendChild(th);
+    });
+    this.headRow = sortRow;
+    this.head.replaceChildren(sortRow);
+
+    if (!this.options.columnFilters) return;
+    const filterRow = document.createElement('tr');
+    filterRow.className = 'data-table-filters';
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.dataset.filter = column.key;
+      input.value = this.filters[column.key] || '';
+      input.placeholder = 'Filter';
+      input.setAttribute('aria-label', `Filter ${column.label}`);
+      th.appendChild(input);
+      filterRow.appendChild(th);
+    });
+    this.head.appendChild(filterRow);
+  }
+
+  // Same column again flips the direction; a new one starts biggest first for numbers, A-Z for text
+  sortBy(key) {
+    let dir;
+    if (this.sort?.key === key) dir = this.sort.dir === 'desc' ? 'asc' : 'desc';
+    else {
+      const column = this.columns.find(c => c.key === key);
+      dir = this.rows.some(row => typeof this.value(column, row) === 'number') ? 'desc' : 'asc';
+    }
+    this.sort = { key, dir };
+    this.refresh();
+  }
+
+  refresh() {
+    const columns = this.visibleColumns();
+    let rows = this.rows;
+    if (this.query) {
+      rows = rows.filter(row => columns.some(c => this.text(c, row).toLowerCase().includes(this.query)));
+    }
+    // Filters on hidden columns still apply
+    Object.entries(this.filters).forEach(([key, filter]) => {
+      const column = this.columns.find(c => c.key === key);
+      if (column) rows = rows.filter(row => this.matches(column, row, filter));
+    });
+    const column = this.sort && this.columns.find(c => c.key === this.sort.key);
+    if (column) {
+      const sign = this.sort.dir === 'asc' ? 1 : -1;
+      const empty = (v) => v == null || v === '' || Number.isNaN(v);
+      rows = rows
+        .map(row => {
+          const v = this.value(column, row);
+          return { row, v: v instanceof Date ? v.getTime() : v };
+        })
+        .sort((a, b) => {
+          // Blanks last either way
+          if (empty(a.v) || empty(b.v)) return empty(a.v) - empty(b.v);
+          if (typeof a.v === 'number' && typeof b.v === 'number') return (a.v - b.v) * sign;
+          return String(a.v).localeCompare(String(b.v), undefined, { numeric: true }) * sign;
+        })
+        .map(({ row }) => row);
+    }
+    this.view = rows;
+
+    [...this.headRow.children].forEach((th, i) => {
+      const key = columns[i].key;
+      th.setAttribute('aria-sort', this.sort?.key === key ? (this.sort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+    const { noun } = this.options;
+    this.countEl.textContent = rows.length === this.rows.length
+      ? `${formatNumber(rows.length)} ${noun}`
+      : `${formatNumber(rows.length)} of ${formatNumber(this.rows.length)} ${noun}`;
+    this.scroller.scrollTop = 0;
+    this.renderBody();
+  }
+
+  // Render the rows in view between two spacer rows standing in for the rest
+  renderBody() {
+    const { rowHeight, height } = this.options;
+    const columns = this.visibleColumns();
+    let start = 0, end = this.view.length;
+    if (CONFIG.performance.enableVirtualScrolling) {
+      start = Math.max(0, Math.floor(this.scroller.scrollTop / rowHeight) - OVERSCAN);
+      end = Math.min(this.view.length, start + Math.ceil(height / rowHeight) + 2 * OVERSCAN);
+    }
+
+    const spacer = (rows) => {
+      const tr = document.createElement('tr');
+      tr.className = 'data-table-spacer';
+      tr.setAttribute('aria-hidden', 'true');
+      const td = document.createElement('td');
+      td.colSpan = columns.length;
+      td.style.height = `${rows * rowHeight}px`;
+      tr.appendChild(td);
+      return tr;
+    };
+    const fragment = document.createDocumentFragment();
+    if (start > 0) fragment.appendChild(spacer(start));
+    for (let i = start; i < end; i++) {
+      const row = this.view[i];
+      const tr = document.createElement('tr');
+      tr.dataset.index = i;
+      if (row === this.selected) tr.className = 'selected';
+      columns.forEach(column => {
+        const td = document.createElement('td');
+        if (column.className) td.className = column.className;
+        td.textContent = this.text(column, row);
+        tr.appendChild(td);
+      });
+      fragment.appendChild(tr);
+    }
+    if (end < this.view.length) fragment.appendChild(spacer(this.view.length - end));
+    this.body.replaceChildren(fragment);
+  }
+
+  // The rows as searched, filtered and sorted, one column per shown column
+  exportCsv() {
+    const columns = this.visibleColumns();
+    const rows = this.view.map(row => Object.fromEntries(columns.map(c => {
+      const v = this.value(c, row);
+      return [c.label, typeof v === 'number' ? Math.round(v * 100) / 100 : v];
+    })));
+    exportToCsv(rows, `${this.options.exportName}_${new Date().toISOString().split('T')[0]}.csv`);
+  }
+}
+
+export default DataTable;
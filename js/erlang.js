@@ -0,0 +1,105 @@
+// js/erlang.js - Erlang C queueing maths and the staffing plan built on it
+import { zonedParts, cleanNumber } from './utils.js';
+
+/**
+ * Probability that a call has to queue (Erlang C) with `agents` agents and
+ * `traffic` Erlangs offered. 1 when the agents can't keep up (agents <= traffic).
+ */
+export function erlangC(agents, traffic) {
+  if (traffic <= 0) return 0;
+  if (agents <= traffic) return 1;
+  // Erlang B by recurrence, which stays stable for large agent counts
+  let b = 1;
+  for (let n = 1; n <= agents; n++) b = (traffic * b) / (n + traffic * b);
+  return (agents * b) / (agents - traffic * (1 - b));
+}
+
+// Share of calls answered within `seconds` (0-1)
+export function serviceLevel(agents, traffic, aht, seconds) {
+  if (traffic <= 0) return 1;
+  if (agents <= traffic) return 0;
+  return 1 - erlangC(agents, traffic) * Math.exp(-(agents - traffic) * seconds / aht);
+}
+
+// Average speed of answer in seconds
+export function averageSpeedOfAnswer(agents, traffic, aht) {
+  if (traffic <= 0) return 0;
+  if (agents <= traffic) return Infinity;
+  return (erlangC(agents, traffic) * aht) / (agents - traffic);
+}
+
+/**
+ * Fewest agents on the phones for `calls` calls of `aht` seconds in an
+ * interval of `intervalSeconds` to answer target% within `seconds`
+ */
+export function requiredAgents({ calls, aht, intervalSeconds, target, seconds }) {
+  if (!calls || !aht) return 0;
+  const traffic = (calls * aht) / intervalSeconds;
+  let agents = Math.max(1, Math.ceil(traffic));
+  // A 100% target is only reached in the limit, so stop well past the traffic
+  const limit = Math.ceil(traffic) * 2 + 50;
+  while (agents < limit && serviceLevel(agents, traffic, aht, seconds) < target / 100) agents++;
+  return agents;
+}
+
+/**
+ * Required vs actual agents for each interval of the day, from call-level
+ * rows (date_parsed, duration_numeric and the agent column). Volume, AHT and
+ * distinct agents are averaged over the days in the rows, so filter them to
+ * the days to plan for (e.g. weekdays only).
+ *   settings  { intervalMinutes, target, seconds, shrinkage (%) }
+ * Returns { days, intervals: [{ slot, start, calls, aht, traffic, required,
+ * rostered, actual, gap, projectedServiceLevel }] }, intervals running from
+ * the first to the last with calls.
+ */
+export function staffingPlan(rows, agentColumn, settings) {
+  const { intervalMinutes, target, seconds, shrinkage } = settings;
+  const intervalSeconds = intervalMinutes * 60;
+  const slotsPerDay = Math.round(1440 / intervalMinutes);
+
+  const days = new Set();
+  const slots = Array.from({ length: slotsPerDay }, () => ({ calls: 0, talk: 0, talked: 0, agents: new Set() }));
+  rows.forEach(r => {
+    if (!r.date_parsed || !r.__chartDate) return;
+    const { hour, minute } = zonedParts(r.date_parsed);
+    const slot = slots[Math.floor((hour * 60 + minute) / intervalMinutes)];
+    days.add(r.__chartDate);
+    slot.calls++;
+    const talk = cleanNumber(r.duration_numeric);
+    if (talk > 0) {
+      slot.talk += talk;
+      slot.talked++;
+    }
+    const agent = agentColumn && String(r[agentColumn] ?? '').trim();
+    if (agent) slot.agents.add(`${r.__chartDate}|${agent}`);
+  });
+
+  const used = slots.map((s, i) => (s.calls ? i : -1)).filter(i => i >= 0);
+  if (!days.size || !used.length) return { days: 0, intervals: [] };
+
+  const n = days.size;
+  const intervals = [];
+  for (let i = used[0]; i <= used[used.length - 1]; i++) {
+    const s = slots[i];
+    const calls = s.calls / n;
+    const aht = s.talked ? s.talk / s.talked : 0;
+    const traffic = aht ? (calls * aht) / intervalSeconds : 0;
+    const required = requiredAgents({ calls, aht, intervalSeconds, target, seconds });
+    const rostered = Math.ceil(required / (1 - shrinkage / 100));
+    const actual = s.agents.size / n;
+    const minutes = i * intervalMinutes;
+    intervals.push({
+      slot: i,
+      start: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+      calls,
+      aht,
+      traffic,
+      required,
+      rostered,
+      actual,
+      gap: actual - required,
+      projectedServiceLevel: traffic ? serviceLevel(Math.floor(actual), traffic, aht, seconds) * 100 : null
+    });
+  }
+  return { days: n, intervals };
+}
@@ -0,0 +1,151 @@
+// js/forecast.js - Holt-Winters volume forecasts with prediction intervals and back-testing
+import { addDays, cleanNumber, zonedParts } from './utils.js';
+
+// Two-sided normal quantiles for the supported confidence levels (%)
+const Z = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+
+const ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0, 0.01, 0.05, 0.1, 0.2];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+
+/**
+ * Daily totals of rows from their first to their last day, days without rows
+ * being 0: { start, values }. valueField is summed; without one, rows are counted.
+ */
+export function dailySeries(rows, valueField = null) {
+  const totals = new Map();
+  rows.forEach(r => {
+    if (!r.__chartDate) return;
+    totals.set(r.__chartDate, (totals.get(r.__chartDate) || 0) + (valueField ? cleanNumber(r[valueField]) : 1));
+  });
+  const days = [...totals.keys()].sort();
+  if (!days.length) return { start: null, values: [] };
+
+  const values = [];
+  for (let d = days[0]; d <= days[days.length - 1]; d = addDays(d, 1)) values.push(totals.get(d) || 0);
+  return { start: days[0], values };
+}
+
+/**
+ * Additive Holt-Winters over values with the given smoothing parameters.
+ * Returns the final level, trend and seasonal terms plus the one-step-ahead
+ * errors from the second season on.
+ */
+export function holtWinters(values, { alpha, beta, gamma, season }) {
+  const mean = (a) => a.reduce((s, v) => s + v, 0) / a.length;
+  const first = values.slice(0, season);
+  let level = mean(first);
+  let trend = (mean(values.slice(season, 2 * season)) - level) / season;
+  const seasonal = first.map(v => v - level);
+  const errors = [];
+
+  for (let t = season; t < values.length; t++) {
+    const s = seasonal[t - season];
+    errors.push(values[t] - (level + trend + s));
+    const prevLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonal.push(gamma * (values[t] - level) + (1 - gamma) * s);
+  }
+  return { level, trend, seasonal: seasonal.slice(-season), errors };
+}
+
+// Smoothing parameters with the least squared one-step error, by grid search
+export function fitHoltWinters(values, season) {
+  let best = null;
+  ALPHAS.forEach(alpha => BETAS.forEach(beta => GAMMAS.forEach(gamma => {
+    const fit = holtWinters(values, { alpha, beta, gamma, season });
+    const sse = fit.errors.reduce((s, e) => s + e * e, 0);
+    if (!best || sse < best.sse) best = { alpha, beta, gamma, season, sse, fit };
+  })));
+  return best;
+}
+
+/**
+ * h-step-ahead forecasts from a fitted model, each { value, sd }. The spread
+ * widens with the horizon as in Hyndman et al. for additive Holt-Winters;
+ * values are floored at 0.
+ */
+export function project(model, horizon) {
+  const { alpha, beta, gamma, season, fit } = model;
+  const sigma2 = fit.errors.length ? fit.errors.reduce((s, e) => s + e * e, 0) / fit.errors.length : 0;
+  const points = [];
+  let spread = 1;
+  for (let h = 1; h <= horizon; h++) {
+    if (h > 1) {
+      const j = h - 1;
+      const c = alpha * (1 + j * beta) + (j % season === 0 ? gamma : 0);
+      spread += c * c;
+    }
+    const value = fit.level + h * fit.trend + fit.seasonal[(h - 1) % season];
+    points.push({ value: Math.max(0, value), sd: Math.sqrt(sigma2 * spread) });
+  }
+  return points;
+}
+
+// Mean absolute percentage error (%) over days with a non-zero actual
+export function mape(actual, predicted) {
+  const pairs = actual.map((a, i) => [a, predicted[i]]).filter(([a]) => a > 0);
+  if (!pairs.length) return null;
+  return (pairs.reduce((s, [a, p]) => s + Math.abs(a - p) / a, 0) / pairs.length) * 100;
+}
+
+/**
+ * Share of a weekday's calls in each hour (reporting timezone), from
+ * call-level rows: Map weekday (0 = Sunday) -> 24 shares summing to 1
+ */
+export function intradayProfile(rows) {
+  const counts = new Map();
+  rows.forEach(r => {
+    if (!r.date_parsed) return;
+    const { weekday, hour } = zonedParts(r.date_parsed);
+    if (!counts.has(weekday)) counts.set(weekday, new Array(24).fill(0));
+    counts.get(weekday)[hour]++;
+  });
+  const profile = new Map();
+  counts.forEach((hours, weekday) => {
+    const total = hours.reduce((a, b) => a + b, 0);
+    profile.set(weekday, hours.map(n => n / total));
+  });
+  return profile;
+}
+
+/**
+ * Forecast the daily volume of rows for `weeks` weeks after their last day,
+ * with weekly seasonality. The last holdoutWeeks are first held out and
+ * forecast from the rest to measure accuracy, then the model is refitted on
+ * everything. With `hourly` (call-level rows) each day also gets its busiest
+ * hour from the intraday profile.
+ *   { valueField, weeks, holdoutWeeks, confidence (%), hourly }
+ * Returns { points: [{ day, value, lower, upper, sd, peak }], mape, holdoutDays,
+ * z, params }, or null with fewer than two seasons of history beyond the holdout.
+ */
+export function forecastVolume(rows, { valueField = null, weeks = 4, holdoutWeeks = 2, confidence = 95, hourly = false } = {}) {
+  const season = 7;
+  const { start, values } = dailySeries(rows, valueField);
+  const holdoutDays = holdoutWeeks * season;
+  if (values.length < 2 * season + holdoutDays) return null;
+
+  const train = values.slice(0, values.length - holdoutDays);
+  const backtest = project(fitHoltWinters(train, season), holdoutDays).map(p => p.value);
+  const accuracy = holdoutDays ? mape(values.slice(-holdoutDays), backtest) : null;
+
+  const model = fitHoltWinters(values, season);
+  const z = Z[confidence] || Z[95];
+  const profile = hourly ? intradayProfile(rows) : null;
+  const last = addDays(start, values.length - 1);
+
+  const points = project(model, weeks * season).map((p, i) => {
+    const day = addDays(last, i + 1);
+    const shares = profile?.get(new Date(`${day}T00:00:00Z`).getUTCDay());
+    let peak = null;
+    if (shares && p.value > 0) {
+      const hour = shares.indexOf(Math.max(...shares));
+      peak = { hour, calls: p.value * shares[hour] };
+    }
+    return { day, value: p.value, sd: p.sd, lower: Math.max(0, p.value - z * p.sd), upper: p.value + z * p.sd, peak };
+  });
+
+  const { alpha, beta, gamma } = model;
+  return { points, mape: accuracy, holdoutDays, z, params: { alpha, beta, gamma } };
+}
@@ -4,14 +4,26 @@ import { CONFIG } from './config.js';
 import {
   showError,
   hideError,
+  showNotice,
+  hideNotice,
+  formatNumber,
+  formatFileSize,
+  formatRelativeTime,
+  hideLoading,
   validateDateRange,
   getDefaultDateRange,
   exportToCsv,
-  debounce
+  debounce,
+  formatDate,
+  comparisonRange,
+  COMPARE_LABELS
 } from './utils.js';
 import dataLoader from './data-loader.js';
 import chartManager from './chart-manager.js';
 import pageRenderer from './renderers.js';
+import mappingWizard from './mapping-wizard.js';
+import agentFilter from './agent-filter.js';
+import callFilters, { describeHours, describeWeekdays } from './call-filters.js';
 
 // Expose for DevTools debugging
 window.CONFIG = CONFIG;
@@ -23,6 +35,9 @@ class Dashboard {
   constructor() {
     this.currentPage = 'inbound';
     this.currentFilters = {};
+    this.drillTrail = [];      // [{ label, before, agent }]: chart drills, each with the filters it narrowed
+    this.mappingCheck = null;  // in-flight checkColumnMappings run
+    this.mappingCheckAgain = false;
     this.isInitialized = false;
 
     this.debouncedRender = debounce(async () => {
@@ -35,10 +50,27 @@ class Dashboard {
 
     try {
       this.setupEventListeners();
+      this.setupFileUpload();
+      agentFilter.init(debounce(() => this.applyFilters(), 300));
+      callFilters.init(debounce(() => this.applyFilters(), 300));
       this.setDefaultDateRange();
-      await dataLoader.loadAll();
-      await this.renderCurrentPage();
-      chartManager.resizeAllCharts(); // ensure initial charts fit
+
+      // Render straight from IndexedDB when possible, then check for new data
+      const cachedKeys = await dataLoader.loadFromCache(this.currentFilters);
+      if (cachedKeys.length) {
+        hideLoading();
+        await this.renderCurrentPage();
+        chartManager.resizeAllCharts();
+        this.revalidateInBackground();
+      } else {
+        await dataLoader.loadAll(this.currentFilters);
+        await this.renderCurrentPage();
+        chartManager.resizeAllCharts(); // ensure initial charts fit
+      }
+      this.updateCacheStatus();
+      setInterval(() => this.updateCacheStatus(), 60000);
+      this.warnAmbiguousDates();
+      await this.checkColumnMappings();
 
       if (CONFIG.performance.dataRefreshInterval > 0) {
         this.setupAutoRefresh();
@@ -82,15 +114,53 @@ class Dashboard {
     dateToInput.addEventListener('change', debouncedFilterUpdate);
   }
 
+  const compareMode = document.getElementById('compare-mode');
+  if (compareMode) {
+    const debouncedCompareUpdate = debounce(() => this.applyFilters(), 1000);
+    compareMode.addEventListener('change', () => {
+      this.setCompareInputs(this.readCompare());
+      // A custom range waits for its dates
+      if (compareMode.value !== 'custom') this.applyFilters();
+    });
+    document.getElementById('compare-from')?.addEventListener('change', debouncedCompareUpdate);
+    document.getElementById('compare-to')?.addEventListener('change', debouncedCompareUpdate);
+  }
+
+  const clearCacheBtn = document.getElementById('clear-cache-btn');
+  if (clearCacheBtn) clearCacheBtn.addEventListener('click', () => this.clearCache());
+
   const refreshBtn = document.getElementById('refresh-btn');
   if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshData());
 
   const exportBtn = document.getElementById('export-btn');
   if (exportBtn) exportBtn.addEventListener('click', () => this.exportCurrentData());
 
+  const uploadBtn = document.getElementById('upload-btn');
+  if (uploadBtn) {
+    uploadBtn.addEventListener('click', () => {
+      document.getElementById('upload-panel')?.classList.toggle('hidden');
+    });
+  }
+
   const errorCloseBtn = document.getElementById('error-close');
   if (errorCloseBtn) errorCloseBtn.addEventListener('click', hideError);
 
+  const noticeCloseBtn = document.getElementById('notice-close');
+  if (noticeCloseBtn) noticeCloseBtn.addEventListener('click', hideNotice);
+
+  // Raised by the Data Health page
+  document.addEventListener('edit-column-mapping', (e) => this.editColumnMapping(e.detail.key));
+
+  // Raised by a click on a chart period, slice, bar or heatmap cell
+  document.addEventListener('drill', (e) => this.drill(e.detail));
+
+  // Raised by a leaderboard row or a breadcrumb
+  document.addEventListener('open-scorecard', (e) => {
+    pageRenderer.scorecardAgent = e.detail.agent;
+    if (this.currentPage === 'scorecard') this.renderCurrentPage();
+    else this.navigateToPage('scorecard');
+  });
+
   window.addEventListener('popstate', (e) => {
     const page = e.state?.page || 'inbound';
     this.navigateToPage(page, false);
@@ -139,6 +209,67 @@ class Dashboard {
   });
 }
 
+  /**
+   * Build a drop zone / file picker for every configured data source
+   */
+  setupFileUpload() {
+    const panel = document.getElementById('upload-panel');
+    const tpl = document.getElementById('drop-zone-template');
+    if (!panel || !tpl) return;
+
+    Object.entries(CONFIG.dataSources).forEach(([key, src]) => {
+      const node = tpl.content.cloneNode(true);
+      const zone = node.querySelector('.drop-zone');
+      zone.dataset.source = key;
+      zone.querySelector('.drop-zone-icon').textContent = src.icon;
+      zone.querySelector('.drop-zone-name').textContent = src.name;
+
+      const input = zone.querySelector('.drop-zone-input');
+      input.addEventListener('change', () => {
+        if (input.files?.length) this.handleFileUpload(key, [...input.files], zone);
+        input.value = '';
+      });
+
+      zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        zone.classList.add('dragover');
+      });
+      zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+      zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        zone.classList.remove('dragover');
+        const files = [...(e.dataTransfer?.files || [])];
+        if (files.length) this.handleFileUpload(key, files, zone);
+      });
+
+      panel.appendChild(node);
+    });
+  }
+
+  // Several files for one source are merged and de-duplicated by the loader
+  async handleFileUpload(key, files, zone) {
+    const src = CONFIG.dataSources[key];
+    const status = zone?.querySelector('.drop-zone-status');
+    const label = files.length === 1 ? files[0].name : `${files.length} files`;
+    if (status) status.textContent = `Reading ${label}...`;
+
+    try {
+      const { data, metadata } = await dataLoader.loadFiles(key, files);
+      const size = files.reduce((sum, f) => sum + f.size, 0);
+      const dupes = metadata.duplicatesRemoved ? `, ${formatNumber(metadata.duplicatesRemoved)} duplicates removed` : '';
+      const dates = metadata.diagnostics?.dateOrder?.ambiguous ? ' (date order is ambiguous, see Data Health)' : '';
+      if (status) status.textContent = `${label} (${formatFileSize(size)}) · ${formatNumber(data.length)} rows`;
+      zone?.classList.add('loaded');
+      showNotice(`Loaded ${label} into ${src.name}: ${formatNumber(data.length)} rows${dupes}${dates}`);
+      await this.renderCurrentPage();
+      await this.checkColumnMappings();
+    } catch (error) {
+      console.error(`Failed to load ${label} into ${key}:`, error);
+      if (status) status.textContent = 'Drop CSV or Excel files here or click to browse';
+      showError(`Failed to load ${label} into ${src.name}: ${error.message}`);
+    }
+  }
+
   /**
    * Navigate to a specific page
    */
@@ -161,7 +292,10 @@ class Dashboard {
     this.currentPage = page;
 
     if (updateHistory) {
-      const title = `Call Performance Dashboard - ${CONFIG.dataSources[page]?.name || page}`;
+      const pageName = CONFIG.dataSources[page]?.name
+        || document.querySelector(`.nav-link[data-page="${page}"]`)?.textContent.trim()
+        || page;
+      const title = `Call Performance Dashboard - ${pageName}`;
       history.pushState({ page }, title, `#${page}`);
       document.title = title;
     }
@@ -180,9 +314,11 @@ class Dashboard {
    * Render the current page with current filters
    */
   async renderCurrentPage() {
-    if (!dataLoader.data[this.currentPage]) return;
+    if (CONFIG.dataSources[this.currentPage] && !dataLoader.data[this.currentPage]) return;
 
     try {
+      agentFilter.setAgents(dataLoader.getAgents());
+      callFilters.setOptions(dataLoader.getFilterOptions());
       pageRenderer.updateFilters(this.currentFilters);
 
       switch (this.currentPage) {
@@ -195,6 +331,18 @@ class Dashboard {
         case 'fcr':
           await pageRenderer.renderFCR(this.currentFilters);
           break;
+        case 'scorecard':
+          await pageRenderer.renderScorecard();
+          break;
+        case 'staffing':
+          await pageRenderer.renderStaffing();
+          break;
+        case 'explorer':
+          await pageRenderer.renderExplorer();
+          break;
+        case 'health':
+          await pageRenderer.renderHealth();
+          break;
         default:
           console.warn(`Unknown page: ${this.currentPage}`);
       }
@@ -207,7 +355,9 @@ class Dashboard {
     }
   }
 
-  applyFilters() {
+  // keepTrail: the change is a drill or a step back out of one; any other
+  // change to the filters starts the breadcrumb trail afresh
+  async applyFilters({ keepTrail = false } = {}) {
     const dateFrom = document.getElementById('date-from')?.value;
     const dateTo = document.getElementById('date-to')?.value;
 
@@ -219,10 +369,26 @@ class Dashboard {
       }
     }
 
+    const compare = this.readCompare();
+    if (compare?.startDate && compare?.endDate) {
+      const validation = validateDateRange(compare.startDate, compare.endDate);
+      if (!validation.valid) {
+        showError(`Comparison range: ${validation.error}`);
+        return;
+      }
+    }
+
+    const previous = this.currentFilters;
     this.currentFilters = {
       startDate: dateFrom || null,
-      endDate: dateTo || null
+      endDate: dateTo || null,
+      agents: agentFilter.getSelection(),
+      ...callFilters.getFilters(),
+      compare
     };
+    if (!keepTrail) this.drillTrail = [];
+    this.renderFilterChips();
+    this.renderBreadcrumbs();
 
     if (CONFIG.features.filterPersistence) {
       try {
@@ -232,21 +398,38 @@ class Dashboard {
       }
     }
 
+    // API sources are requested per date range (and comparison range); other
+    // filters apply locally
+    const span = (f) => [f.startDate, f.endDate, comparisonRange(f)?.startDate, comparisonRange(f)?.endDate].join();
+    const datesChanged = span(previous) !== span(this.currentFilters);
+    if (datesChanged && dataLoader.hasApiSources()) {
+      await dataLoader.reloadApiSources(this.currentFilters);
+    }
+
     this.debouncedRender();
   }
 
-  resetFilters() {
+  async resetFilters() {
     const defaultRange = getDefaultDateRange();
     const dateFromInput = document.getElementById('date-from');
     const dateToInput = document.getElementById('date-to');
 
     if (dateFromInput) dateFromInput.value = defaultRange.start;
     if (dateToInput) dateToInput.value = defaultRange.end;
+    agentFilter.setSelection(null);
+    callFilters.setFilters({});
+    this.setCompareInputs(null);
 
     this.currentFilters = {
       startDate: defaultRange.start,
-      endDate: defaultRange.end
+      endDate: defaultRange.end,
+      agents: null,
+      ...callFilters.getFilters(),
+      compare: null
     };
+    this.drillTrail = [];
+    this.renderFilterChips();
+    this.renderBreadcrumbs();
 
     if (CONFIG.features.filterPersistence) {
       try {
@@ -256,6 +439,10 @@ class Dashboard {
       }
     }
 
+    if (dataLoader.hasApiSources()) {
+      await dataLoader.reloadApiSources(this.currentFilters);
+    }
+
     this.debouncedRender();
   }
 
@@ -265,6 +452,8 @@ class Dashboard {
     if (!dateFromInput || !dateToInput) return;
 
     let defaultRange = getDefaultDateRange();
+    let agents = null;
+    let saved = {};
 
     if (CONFIG.features.filterPersistence) {
       try {
@@ -274,6 +463,8 @@ class Dashboard {
           if (parsed.startDate && parsed.endDate) {
             defaultRange = { start: parsed.startDate, end: parsed.endDate };
           }
+          if (Array.isArray(parsed.agents) && parsed.agents.length) agents = parsed.agents;
+          saved = parsed;
         }
       } catch (error) {
         console.warn('Failed to load persisted filters:', error);
@@ -282,27 +473,314 @@ class Dashboard {
 
     dateFromInput.value = defaultRange.start;
     dateToInput.value = defaultRange.end;
+    agentFilter.setSelection(agents);
+    callFilters.setFilters(saved);
+    this.setCompareInputs(saved.compare);
 
     this.currentFilters = {
       startDate: defaultRange.start,
-      endDate: defaultRange.end
+      endDate: defaultRange.end,
+      agents,
+      ...callFilters.getFilters(),
+      compare: this.readCompare()
+    };
+    this.renderFilterChips();
+  }
+
+  // Put filters into the filter bar's controls, which raise no change events
+  setFilterInputs(filters) {
+    const dateFromInput = document.getElementById('date-from');
+    const dateToInput = document.getElementById('date-to');
+    if (dateFromInput) dateFromInput.value = filters.startDate || '';
+    if (dateToInput) dateToInput.value = filters.endDate || '';
+    agentFilter.setSelection(filters.agents);
+    callFilters.setFilters(filters);
+    this.setCompareInputs(filters.compare);
+  }
+
+  /**
+   * Narrow the filters to a chart click: { label, filters, agent } from
+   * pageRenderer.drillHandler. Categories are merged into the current ones and
+   * dates only ever narrow; a click that changes nothing is ignored.
+   */
+  drill({ label, filters, agent = null }) {
+    const before = this.currentFilters;
+    const next = { ...before, ...filters };
+    if (filters.categories) next.categories = { ...before.categories, ...filters.categories };
+    if (filters.startDate && before.startDate > filters.startDate) next.startDate = before.startDate;
+    if (filters.endDate && before.endDate && before.endDate < filters.endDate) next.endDate = before.endDate;
+    if (JSON.stringify(next) === JSON.stringify(before)) return;
+
+    this.drillTrail.push({ label, before, agent });
+    this.setFilterInputs(next);
+    this.applyFilters({ keepTrail: true });
+  }
+
+  // Step back out to the filters before drill `index` (0: before any drill)
+  drillBack(index) {
+    const crumb = this.drillTrail[index];
+    if (!crumb) return;
+    this.drillTrail = this.drillTrail.slice(0, index);
+    this.setFilterInputs(crumb.before);
+    this.applyFilters({ keepTrail: true });
+  }
+
+  // "Start › Mar 2024 › Agent: Ann": each earlier step goes back to it
+  renderBreadcrumbs() {
+    const nav = document.getElementById('drill-breadcrumbs');
+    if (!nav) return;
+
+    const list = document.createElement('ol');
+    const steps = [{ label: 'Start' }, ...this.drillTrail];
+    steps.forEach((step, i) => {
+      const item = document.createElement('li');
+      if (i === steps.length - 1) {
+        const current = document.createElement('span');
+        current.setAttribute('aria-current', 'step');
+        current.textContent = step.label;
+        item.appendChild(current);
+      } else {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = step.label;
+        btn.title = i ? `Back to ${step.label}` : 'Back to the filters before drilling in';
+        btn.addEventListener('click', () => this.drillBack(i));
+        item.appendChild(btn);
+      }
+      if (step.agent) {
+        const scorecard = document.createElement('button');
+        scorecard.type = 'button';
+        scorecard.className = 'drill-scorecard';
+        scorecard.textContent = 'Scorecard';
+        scorecard.title = `Open ${step.agent}'s scorecard`;
+        scorecard.addEventListener('click', () => pageRenderer.openScorecard(step.agent));
+        item.appendChild(scorecard);
+      }
+      list.appendChild(item);
+    });
+
+    nav.replaceChildren(list);
+    nav.classList.toggle('hidden', this.drillTrail.length === 0);
+  }
+
+  // { mode[, startDate, endDate] } from the Compare control, or null for none
+  readCompare() {
+    const mode = document.getElementById('compare-mode')?.value;
+    if (!COMPARE_LABELS[mode]) return null;
+    if (mode !== 'custom') return { mode };
+    return {
+      mode,
+      startDate: document.getElementById('compare-from')?.value || null,
+      endDate: document.getElementById('compare-to')?.value || null
     };
   }
 
+  setCompareInputs(compare) {
+    const mode = document.getElementById('compare-mode');
+    if (!mode) return;
+    mode.value = COMPARE_LABELS[compare?.mode] ? compare.mode : '';
+    const custom = mode.value === 'custom';
+    if (compare && custom) {
+      document.getElementById('compare-from').value = compare.startDate || '';
+      document.getElementById('compare-to').value = compare.endDate || '';
+    }
+    document.querySelector('.compare-custom')?.classList.toggle('hidden', !custom);
+  }
+
+  // One chip per active filter beyond the date range; × removes that filter
+  renderFilterChips() {
+    const bar = document.getElementById('filter-chips');
+    if (!bar) return;
+
+    const f = this.currentFilters;
+    const chips = [];
+    if (f.agents?.length) {
+      chips.push({
+        label: f.agents.length === 1 ? `Agent: ${f.agents[0]}` : `Agents: ${f.agents.length} selected`,
+        remove: () => agentFilter.setSelection(null)
+      });
+    }
+    Object.entries(f.categories || {}).forEach(([name, values]) => {
+      const def = CONFIG.categoryFilters[name] || {};
+      values.forEach(v => chips.push({
+        label: `${def.label || name}: ${def.values?.[v] ?? v}`,
+        remove: () => callFilters.clear(name, v)
+      }));
+    });
+    if (f.hours) chips.push({ label: `Hours: ${describeHours(f.hours)}`, remove: () => callFilters.clear('hours') });
+    if (f.weekdays?.length) chips.push({ label: `Days: ${describeWeekdays(f.weekdays)}`, remove: () => callFilters.clear('weekdays') });
+    const compare = comparisonRange(f);
+    if (compare) {
+      chips.push({
+        label: `Compared with: ${COMPARE_LABELS[f.compare.mode]} (${formatDate(compare.startDate)} – ${formatDate(compare.endDate)})`,
+        remove: () => this.setCompareInputs(null)
+      });
+    }
+
+    bar.innerHTML = '';
+    chips.forEach(({ label, remove }) => {
+      const chip = document.createElement('span');
+      chip.className = 'filter-chip';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = '×';
+      btn.setAttribute('aria-label', `Remove filter ${label}`);
+      btn.addEventListener('click', () => {
+        remove();
+        this.applyFilters();
+      });
+      chip.append(label, btn);
+      bar.appendChild(chip);
+    });
+    bar.classList.toggle('hidden', chips.length === 0);
+  }
+
   async refreshData() {
     try {
       dataLoader.clear();
       chartManager.destroyAllCharts();
-      await dataLoader.loadAll();
+      await dataLoader.loadAll(this.currentFilters);
       await this.renderCurrentPage();
       chartManager.resizeAllCharts();
+      this.updateCacheStatus();
+      this.warnAmbiguousDates();
+      await this.checkColumnMappings();
     } catch (error) {
       console.error('Failed to refresh data:', error);
       showError('Failed to refresh data. Please try again.');
     }
   }
 
+  // Notice naming the sources whose dd/mm vs mm/dd order had to be guessed
+  warnAmbiguousDates() {
+    const names = Object.keys(CONFIG.dataSources)
+      .filter(key => dataLoader.getMetadata(key).diagnostics?.dateOrder?.ambiguous)
+      .map(key => CONFIG.dataSources[key].name);
+    if (names.length) {
+      showNotice(`Date order is ambiguous in ${names.join(', ')}. Check the Data Health page or set dateOrder in config.js.`);
+    }
+  }
+
+  /**
+   * Open the column-mapping wizard for each source whose required fields
+   * didn't match any header, reloading the sources that get a new mapping.
+   * Loads finish at any time (startup, background revalidation, uploads),
+   * so only one check runs: a call during it shares its promise and has it
+   * go round again for sources loaded meanwhile.
+   */
+  checkColumnMappings() {
+    if (this.mappingCheck) {
+      this.mappingCheckAgain = true;
+      return this.mappingCheck;
+    }
+    this.mappingCheck = (async () => {
+      try {
+        do {
+          this.mappingCheckAgain = false;
+          await this.promptForMappings();
+        } while (this.mappingCheckAgain);
+      } finally {
+        this.mappingCheck = null;
+      }
+    })();
+    return this.mappingCheck;
+  }
+
+  async promptForMappings() {
+    let changed = false;
+    for (const key of Object.keys(CONFIG.dataSources)) {
+      const info = dataLoader.getUnresolvedFields(key);
+      if (info && await mappingWizard.prompt(key, info)) {
+        await this.reloadAfterMapping(key);
+        changed = true;
+      }
+    }
+    if (changed) await this.renderCurrentPage();
+  }
+
+  async editColumnMapping(key) {
+    const info = dataLoader.getMappingInfo(key);
+    if (!info) {
+      showError(`${CONFIG.dataSources[key]?.name || key} has not been loaded yet`);
+      return;
+    }
+    if (await mappingWizard.open(key, info)) {
+      await this.reloadAfterMapping(key);
+      await this.renderCurrentPage();
+    }
+    // Ask again about any source whose prompt this wizard pushed aside
+    await this.checkColumnMappings();
+  }
+
+  async reloadAfterMapping(key) {
+    try {
+      const data = await dataLoader.reloadSource(key);
+      showNotice(`${CONFIG.dataSources[key].name} reloaded with the new column mapping: ${formatNumber(data.length)} rows`);
+    } catch (error) {
+      console.error(`Failed to reload ${key}:`, error);
+      showError(`Failed to reload ${CONFIG.dataSources[key].name}: ${error.message}`);
+    }
+  }
+
+  async revalidateInBackground() {
+    try {
+      const changed = await dataLoader.revalidate();
+      if (changed.length) {
+        showNotice(`New data loaded for ${changed.map(key => CONFIG.dataSources[key].name).join(', ')}`);
+        await this.renderCurrentPage();
+        await this.checkColumnMappings();
+      }
+    } catch (error) {
+      console.warn('Background revalidation failed:', error);
+    }
+    this.updateCacheStatus();
+  }
+
+  async clearCache() {
+    try {
+      await dataLoader.clearCache();
+      showNotice('Cached data cleared');
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      showError('Failed to clear cached data');
+    }
+    this.updateCacheStatus();
+  }
+
+  updateCacheStatus() {
+    const el = document.getElementById('cache-status');
+    if (!el) return;
+
+    const age = dataLoader.getCacheAge();
+    const stale = Object.values(dataLoader.metadata).some(m => m?.stale);
+    if (!age) {
+      el.textContent = '💾 Not cached';
+    } else {
+      el.textContent = `💾 Cached ${formatRelativeTime(age)}${stale ? ' (offline)' : ''}`;
+    }
+    el.classList.toggle('stale', stale);
+  }
+
   exportCurrentData() {
+    if (this.currentPage === 'health') {
+      this.exportHealthSummary();
+      return;
+    }
+    if (this.currentPage === 'staffing') {
+      this.exportStaffingPlan();
+      return;
+    }
+    if (this.currentPage === 'scorecard') {
+      this.exportScorecard();
+      return;
+    }
+    if (this.currentPage === 'explorer') {
+      // The rows as filtered, sorted and shown in the explorer
+      if (pageRenderer.explorerTable) pageRenderer.explorerTable.exportCsv();
+      else showError('No data to export');
+      return;
+    }
+
     const data = dataLoader.getData(this.currentPage, this.currentFilters);
 
     if (!data || data.length === 0) {
@@ -316,6 +794,66 @@ class Dashboard {
     exportToCsv(data, filename);
   }
 
+  exportStaffingPlan() {
+    const { intervals } = pageRenderer.getStaffingPlan();
+    if (!intervals.length) {
+      showError('No data to export');
+      return;
+    }
+    const rows = intervals.map(i => ({
+      interval: i.start,
+      callsPerDay: i.calls.toFixed(2),
+      ahtSeconds: Math.round(i.aht),
+      trafficErlangs: i.traffic.toFixed(3),
+      agentsNeeded: i.required,
+      agentsToRoster: i.rostered,
+      agentsTakingCalls: i.actual.toFixed(2),
+      gap: i.gap.toFixed(2),
+      projectedServiceLevel: i.projectedServiceLevel == null ? '' : i.projectedServiceLevel.toFixed(1)
+    }));
+    exportToCsv(rows, `staffing_plan_${new Date().toISOString().split('T')[0]}.csv`);
+  }
+
+  exportScorecard() {
+    const { agent, ranking } = pageRenderer.getScorecard();
+    if (!ranking.length) {
+      showError('No data to export');
+      return;
+    }
+    const rows = ranking.map(m => ({
+      agent,
+      metric: m.label,
+      value: Math.round(m.value * 100) / 100,
+      teamMedian: Math.round(m.median * 100) / 100,
+      rank: m.rank,
+      teamSize: m.of
+    }));
+    const name = agent.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+    exportToCsv(rows, `scorecard_${name}_${new Date().toISOString().split('T')[0]}.csv`);
+  }
+
+  exportHealthSummary() {
+    const rows = Object.keys(CONFIG.dataSources)
+      .map(key => ({ key, diag: dataLoader.getMetadata(key).diagnostics }))
+      .filter(({ diag }) => diag)
+      .map(({ key, diag }) => ({
+        source: key,
+        rowsRead: diag.rowsRead,
+        rowsKept: diag.rowsKept,
+        ...Object.fromEntries(Object.entries(diag.rejected).map(([r, n]) => [`rejected: ${r}`, n])),
+        unparseableDates: diag.unparseableDates,
+        dateOrder: diag.dateOrder ? `${diag.dateOrder.order}${diag.dateOrder.ambiguous ? ' (ambiguous)' : ''}` : '',
+        duplicateIds: diag.duplicateIds,
+        nonPositiveDurations: diag.nonPositiveDurations,
+        unmappedColumns: (diag.unmappedColumns || []).map(u => u.field).join(' ')
+      }));
+
+    // Sources reject for different reasons, so give every row every column
+    const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    const normalized = rows.map(r => Object.fromEntries(columns.map(c => [c, r[c] ?? ''])));
+    exportToCsv(normalized, `data_health_${new Date().toISOString().split('T')[0]}.csv`);
+  }
+
   toggleChartFullscreen(chartCard) {
     if (!chartCard) return;
     
@@ -375,15 +913,12 @@ class Dashboard {
     }
   }
 
+  // Timed refreshes revalidate behind the current charts; only the refresh
+  // button (refreshData) clears and reloads in the foreground
   setupAutoRefresh() {
-    setInterval(async () => {
+    setInterval(() => {
       if (document.hidden) return;
-      try {
-        console.log('Auto-refreshing data...');
-        await this.refreshData();
-      } catch (error) {
-        console.error('Auto-refresh failed:', error);
-      }
+      this.revalidateInBackground();
     }, CONFIG.performance.dataRefreshInterval);
   }
 
@@ -455,7 +990,7 @@ window.chartManager = chartManager;
 
 window.addEventListener('load', () => {
   const hash = window.location.hash.slice(1);
-  if (hash && CONFIG.dataSources[hash]) {
+  if (hash && document.getElementById(`${hash}-page`)) {
     dashboard.navigateToPage(hash, false);
   }
 });
@@ -0,0 +1,167 @@
+// js/mapping-wizard.js - Modal for mapping a file's headers onto logical fields
+import { CONFIG, getMappingOverrides, setMappingOverrides } from './config.js';
+import { findBestMatch } from './row-processor.js';
+
+const SAMPLE_VALUES = 3;
+// Source key -> header signature the wizard was last saved or skipped for
+const ANSWERED_STORAGE_KEY = 'dashboard_mapping_answered';
+
+// Same headers in any order give the same signature
+const headerSignature = (headers) => [...headers].sort().join('|');
+
+class MappingWizard {
+  constructor() {
+    this.modal = null;
+    this.resolve = null;
+  }
+
+  /**
+   * Show the wizard for a source. `info` is { fields, headers, preview } from
+   * dataLoader.getUnresolvedFields (fields = required fields left unresolved).
+   * Resolves to true when a new mapping was saved (or reset), false when the
+   * user skipped, and null when the user never answered: a background open
+   * while the wizard is showing resolves null at once, and an open wizard
+   * replaced by a user's open() resolves null.
+   */
+  open(key, info, { background = false } = {}) {
+    this.modal = document.getElementById('mapping-modal');
+    if (!this.modal || !info?.headers?.length) return Promise.resolve(false);
+    if (this.resolve) {
+      if (background) return Promise.resolve(null);
+      this.close(null);
+    }
+
+    const src = CONFIG.dataSources[key];
+    const base = CONFIG.fieldMappings[key] || {};
+    const required = CONFIG.validation.requiredFields[key] || [];
+    const overrides = getMappingOverrides(key);
+    const missing = info.fields || [];
+
+    this.modal.querySelector('.modal-title').textContent = `Map Columns: ${src.name}`;
+    this.modal.querySelector('.modal-intro').textContent = missing.length
+      ? `No column matched ${missing.join(', ')}. Choose the column that holds each field; your choice is saved and used for future loads of this source.`
+      : 'Choose the column that holds each field; your choice is saved and used for future loads of this source.';
+
+    const list = this.modal.querySelector('.mapping-fields');
+    list.innerHTML = '';
+    Object.keys(base).forEach(field => {
+      const current = overrides[field] && info.headers.includes(overrides[field])
+        ? overrides[field]
+        : findBestMatch(info.headers, base[field]);
+      list.appendChild(this.fieldRow(field, base[field], current, info, {
+        required: required.includes(field),
+        missing: missing.includes(field)
+      }));
+    });
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.modal.onclick = (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'save') this.save(key, info.headers);
+        else if (action === 'reset') this.reset(key);
+        else if (action === 'cancel' || e.target === this.modal) this.close(false);
+      };
+      this.modal.classList.remove('hidden');
+      list.querySelector('select')?.focus();
+    });
+  }
+
+  /**
+   * open() for unresolved fields found on load, unless the wizard was already
+   * saved or skipped for this source with the same headers. Loads repeat
+   * (uploads, background refreshes), so only new headers ask again.
+   */
+  async prompt(key, info) {
+    if (!info?.headers?.length) return false;
+    const signature = headerSignature(info.headers);
+    let answered = {};
+    try {
+      answered = JSON.parse(localStorage.getItem(ANSWERED_STORAGE_KEY) || '{}');
+    } catch {
+      answered = {};
+    }
+    if (answered[key] === signature) return false;
+
+    const changed = await this.open(key, info, { background: true });
+    if (changed === null) return false; // not answered; ask again on a later check
+    try {
+      localStorage.setItem(ANSWERED_STORAGE_KEY, JSON.stringify({ ...answered, [key]: signature }));
+    } catch (e) {
+      console.warn('Failed to save column mapping answer:', e);
+    }
+    return changed;
+  }
+
+  fieldRow(field, expected, current, info, { required, missing }) {
+    const row = document.createElement('div');
+    row.className = 'mapping-row' + (missing ? ' missing' : '');
+
+    const label = document.createElement('label');
+    label.className = 'mapping-label';
+    label.textContent = field + (required ? ' *' : '');
+    const hint = document.createElement('span');
+    hint.className = 'mapping-expected';
+    hint.textContent = `expected: ${expected.join(' / ')}`;
+    label.appendChild(hint);
+
+    const select = document.createElement('select');
+    select.className = 'mapping-select';
+    select.dataset.field = field;
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— not in this file —';
+    select.appendChild(none);
+    info.headers.forEach(h => {
+      const opt = document.createElement('option');
+      opt.value = h;
+      opt.textContent = h;
+      select.appendChild(opt);
+    });
+    select.value = current || '';
+
+    const samples = document.createElement('div');
+    samples.className = 'mapping-samples';
+    const showSamples = () => {
+      const vals = select.value
+        ? info.preview.map(r => r[select.value]).filter(v => v != null && String(v).trim() !== '').slice(0, SAMPLE_VALUES)
+        : [];
+      samples.textContent = vals.length ? `e.g. ${vals.join(' · ')}` : '';
+    };
+    select.addEventListener('change', () => {
+      row.classList.toggle('missing', required && !select.value);
+      showSamples();
+    });
+    showSamples();
+
+    row.append(label, select, samples);
+    return row;
+  }
+
+  save(key, headers) {
+    const base = CONFIG.fieldMappings[key] || {};
+    const overrides = {};
+    this.modal.querySelectorAll('.mapping-select').forEach(sel => {
+      const field = sel.dataset.field;
+      // Only store choices the configured candidates wouldn't already find
+      if (sel.value && sel.value !== findBestMatch(headers, base[field])) overrides[field] = sel.value;
+    });
+    setMappingOverrides(key, overrides);
+    this.close(true);
+  }
+
+  reset(key) {
+    setMappingOverrides(key, null);
+    this.close(true);
+  }
+
+  close(changed) {
+    this.modal?.classList.add('hidden');
+    const resolve = this.resolve;
+    this.resolve = null;
+    resolve?.(changed);
+  }
+}
+
+export const mappingWizard = new MappingWizard();
+export default mappingWizard;
@@ -0,0 +1,61 @@
+// js/parse-worker.js - Module worker: CSV parsing and row processing off the main thread.
+//
+// In:  { id, key, map, buffer | text | rows }   (map: effective field mapping)
+// Out: { id, type: 'progress', fraction } ... then { id, type: 'done', data, diagnostics } or { id, type: 'error', message }
+import Papa from 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
+import {
+  processData,
+  createDiagnostics,
+  finalizeDiagnostics,
+  detectDateOrder,
+  CSV_PARSE_OPTIONS
+} from './row-processor.js';
+
+const CHUNK_SIZE = 256 * 1024;   // characters per Papa chunk
+const ROW_BATCH = 5000;          // pre-parsed rows per progress update
+
+function append(out, rows) {
+  for (let i = 0; i < rows.length; i++) out.push(rows[i]);
+}
+
+function done(id, data, diag) {
+  self.postMessage({ id, type: 'done', data, diagnostics: finalizeDiagnostics(diag) });
+}
+
+// Rows are collected before processing so the date order is detected on the
+// whole file; parsing reports the first half of the progress bar
+function parseText(id, key, map, text) {
+  const rows = [];
+  Papa.parse(text, {
+    ...CSV_PARSE_OPTIONS,
+    chunkSize: CHUNK_SIZE,
+    chunk: (res) => {
+      append(rows, res.data);
+      self.postMessage({ id, type: 'progress', fraction: text.length ? res.meta.cursor / text.length / 2 : 0.5 });
+    },
+    complete: () => processRows(id, key, map, rows, 0.5),
+    error: (err) => self.postMessage({ id, type: 'error', message: `CSV parsing failed: ${err.message}` })
+  });
+}
+
+function processRows(id, key, map, rows, start = 0) {
+  const out = [];
+  const diag = createDiagnostics(key);
+  diag.dateOrder = detectDateOrder(rows, key, map);
+  for (let i = 0; i < rows.length; i += ROW_BATCH) {
+    append(out, processData(rows.slice(i, i + ROW_BATCH), key, diag, map));
+    const fraction = Math.min(1, (i + ROW_BATCH) / rows.length);
+    self.postMessage({ id, type: 'progress', fraction: start + (1 - start) * fraction });
+  }
+  done(id, out, diag);
+}
+
+self.onmessage = (e) => {
+  const { id, key, map, buffer, text, rows } = e.data;
+  try {
+    if (rows) processRows(id, key, map, rows);
+    else parseText(id, key, map, buffer ? new TextDecoder('utf-8').decode(buffer) : text);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
@@ -1,11 +1,62 @@
 // js/renderers.js - Clean Fixed Version
 import { CONFIG, getKPIConfig, getFieldMapping } from './config.js';
-import { formatNumber, isAbandoned, cleanNumber } from './utils.js';
+import { formatNumber, formatDate, isAbandoned, cleanNumber, exportToCsv, zonedParts, zonedDayKey, comparisonRange, COMPARE_LABELS, percentile } from './utils.js';
 import dataLoader from './data-loader.js';
-import chartManager from './chart-manager.js';
+import chartManager, { GRANULARITIES } from './chart-manager.js';
+import { ORDER_LABELS } from './row-processor.js';
+import { WEEKDAY_NAMES, describeHours, describeWeekdays } from './call-filters.js';
+import { staffingPlan } from './erlang.js';
+import { forecastVolume } from './forecast.js';
+import { dailyValues, detectAnomalies, describeAnomaly } from './anomaly.js';
+import { agentStats, rankAgent, SCORECARD_METRICS } from './scorecard.js';
+import DataTable from './data-table.js';
+
+const STAFFING_STORAGE_KEY = 'dashboard_staffing';
+const FORECAST_STORAGE_KEY = 'dashboard_forecast_weeks';
+const EXPLORER_STORAGE_KEY = 'dashboard_explorer';
+const EXPLORER_SAMPLE_ROWS = 500; // rows scanned for the explorer's columns
+
+// Metrics of the inbound weekday x hour heatmap
+const HEATMAP_METRICS = {
+  volume:  { label: 'Calls',        color: '#3b82f6', format: 'number' },
+  abandon: { label: 'Abandon rate', color: '#ef4444', format: 'percentage' },
+  wait:    { label: 'Avg wait',     color: '#f59e0b', format: 'duration' }
+};
+
+// Per-agent metrics (SCORECARD_METRICS keys) in each page's leaderboard, by the sources they come from
+const LEADERBOARD = {
+  inbound:  { sources: ['inbound'], metrics: ['inboundCalls', 'handled', 'abandonRate', 'avgHandleTime', 'inboundPerHour'] },
+  outbound: { sources: ['outbound', 'connect'], metrics: ['outboundCalls', 'outboundPerHour', 'connectRate'] }
+};
+const SCORECARD_SOURCES = { inbound: 'inbound', outbound: 'outbound', connect: 'outbound_connectrate' };
+
+// The FCR rate divides FCR cases by connected inbound and outbound calls
+const FCR_RATE_SOURCES = ['fcr', 'inbound', 'outbound_connectrate'];
+// Sources behind each dashboard page's numbers, checked for filters they can't take
+const PAGE_SOURCES = { inbound: ['inbound'], outbound: ['outbound', 'outbound_connectrate'], fcr: FCR_RATE_SOURCES };
+
+// Daily series checked for unusual days on each page; hit(row) makes a rate
+const ANOMALY_METRICS = {
+  inbound: [
+    { label: 'Inbound calls' },
+    { label: 'Abandon rate', hit: (r) => isAbandoned(r.Disposition || '') }
+  ],
+  outbound: [
+    { label: 'Outbound calls', valueField: 'OutboundCalls_numeric' },
+    { label: 'Connect rate', source: 'outbound_connectrate', hit: (r) => !!r.isConnected }
+  ],
+  fcr: [
+    { label: 'FCR cases', valueField: 'Count_numeric' }
+  ]
+};
 
 class PageRenderer {
-  constructor(){ this.currentFilters = {}; }
+  constructor(){
+    this.currentFilters = {};
+    this.heatmapMetric = 'volume';
+    this.scorecardAgent = null;
+    this.explorerTable = null; // DataTable on the Data Explorer page, for export
+  }
   updateFilters(filters) { this.currentFilters = { ...filters }; }
 
   async renderPage(pageKey, containerId){
@@ -19,11 +70,20 @@ class PageRenderer {
     }
 
     container.innerHTML = `<div class="kpis-grid"></div><div class="charts-grid"></div>`;
+    const notes = this.filterNotes(pageKey);
+    if (notes) container.prepend(notes);
 
     // KPIs
     const kpiGrid = container.querySelector('.kpis-grid');
     const defs = getKPIConfig(pageKey);
-    const kpis = this.calculateKPIs(pageKey, data);
+    const kpis = this.calculateKPIs(pageKey, this.currentFilters);
+
+    // Same KPIs over the comparison range, when one is selected
+    const compare = comparisonRange(this.currentFilters);
+    const compareFilters = compare && { ...this.currentFilters, startDate: compare.startDate, endDate: compare.endDate };
+    const previous = compareFilters && dataLoader.getData(pageKey, compareFilters).length
+      ? this.calculateKPIs(pageKey, compareFilters)
+      : null;
 
     defs.forEach(def => {
       if(!(def.key in kpis)) return;
@@ -44,31 +104,53 @@ class PageRenderer {
         if(val >= critical) valueEl.style.color = 'var(--error-color)';
         else if(val >= warning) valueEl.style.color = 'var(--warning-color)';
       }
+      if(def.target != null){
+        valueEl.style.color = val >= def.target ? 'var(--success-color)' : 'var(--error-color)';
+      }
 
       card.querySelector('.kpi-label').textContent = def.label;
+      if (compare) {
+        const change = card.querySelector('.kpi-change');
+        const range = `${formatDate(compare.startDate)} – ${formatDate(compare.endDate)}`;
+        if (previous && def.key in previous) {
+          const { text, direction } = this.kpiChange(def, val, previous[def.key]);
+          change.textContent = text;
+          if (direction) change.classList.add(direction);
+          change.title = `${formatNumber(previous[def.key], def.format)} in ${range}`;
+        } else {
+          change.textContent = 'No data to compare';
+          change.title = range;
+        }
+      }
       kpiGrid.appendChild(node);
     });
 
     // Charts
     const grid = container.querySelector('.charts-grid');
+    const unusual = this.unusualDays(pageKey);
+    container.appendChild(this.unusualDaysTable(unusual));
 
     if (pageKey === 'fcr') {
       // Chart 1: Existing Cases Over Time
       const idA = `${pageKey}-cases-over-time`;
-      grid.appendChild(this.chartWrap('Cases Over Time', idA));
+      grid.appendChild(this.chartWrap('Cases Over Time', idA, { granularity: true }));
       chartManager.createCallsOverTimeChart(idA, data, {
         dateField: '__chartDate',
         valueField: 'Count_numeric',
-        color: CONFIG.dataSources[pageKey].color
+        color: CONFIG.dataSources[pageKey].color,
+        comparison: this.comparisonSeries('fcr', compare, compareFilters),
+        anomalies: unusual,
+        onPeriodClick: this.periodDrill()
       });
 
-      // Chart 2: Call Volume Comparison
+      // Chart 2: Call Volume Comparison, filtered alike as for the FCR rate
       const idB = `${pageKey}-volume-comparison`;
       grid.appendChild(this.chartWrap('Call Volume Comparison: FCR vs Connected Calls', idB));
   
-      const fcrData = dataLoader.getData('fcr', this.currentFilters);
-      const inboundData = dataLoader.getData('inbound', this.currentFilters);
-      const outboundConnectData = dataLoader.getData('outbound_connectrate', this.currentFilters);
+      const shared = dataLoader.sharedFilters(FCR_RATE_SOURCES, this.currentFilters);
+      const fcrData = dataLoader.getData('fcr', shared);
+      const inboundData = dataLoader.getData('inbound', shared);
+      const outboundConnectData = dataLoader.getData('outbound_connectrate', shared);
 
       const totalFCR = fcrData.reduce((s, r) => s + cleanNumber(r.Count_numeric), 0);
       const totalInboundConnected = inboundData.filter(r => !isAbandoned(r.Disposition || '')).length;
@@ -80,6 +162,9 @@ class PageRenderer {
         label: 'Call Volume',
         multiColor: true
       });
+
+      const recon = dataLoader.getReconciliation(pageKey, this.currentFilters);
+      if (recon?.length) container.appendChild(this.reconciliationTable(recon));
       return;
     }
 
@@ -89,12 +174,17 @@ class PageRenderer {
 
       // Chart 1: Outbound Calls Over Time
       const idA = `${pageKey}-calls-over-time`;
-      grid.appendChild(this.chartWrap('Outbound Calls Over Time', idA));
-      chartManager.createCallsOverTimeChart(idA, outboundCallsData, {
+      const drawA = () => chartManager.createCallsOverTimeChart(idA, outboundCallsData, {
         dateField: '__chartDate',
         valueField: 'OutboundCalls_numeric',
-        color: CONFIG.dataSources[pageKey].color
+        color: CONFIG.dataSources[pageKey].color,
+        comparison: this.comparisonSeries('outbound', compare, compareFilters),
+        forecast: this.forecastFor('outbound', { valueField: 'OutboundCalls_numeric' }),
+        anomalies: unusual,
+        onPeriodClick: this.periodDrill()
       });
+      grid.appendChild(this.chartWrap('Outbound Calls Over Time', idA, { granularity: true, select: this.forecastSelect(drawA) }));
+      drawA();
 
       // Chart 2: Call Outcomes
       const idB = `${pageKey}-outcomes`;
@@ -121,7 +211,8 @@ class PageRenderer {
         labels, 
         data: vals, 
         label: 'Outbound Calls', 
-        multiColor: true 
+        multiColor: true,
+        onClick: this.agentDrill()
       });
 
       // Chart 4: Average Calls Per Hour by Agent
@@ -157,26 +248,56 @@ class PageRenderer {
         labels: outboundAgentLabels,
         data: outboundAgentValues,
         label: 'Avg Calls/Hour',
-        multiColor: true
+        multiColor: true,
+        onClick: this.agentDrill()
       });
+
+      container.appendChild(this.agentLeaderboard(pageKey));
       return;
     }
 
     // Inbound (default case)
     const idA = `${pageKey}-calls-over-time`;
-    grid.appendChild(this.chartWrap('Inbound Calls Over Time', idA));
-    chartManager.createCallsOverTimeChart(idA, data, {
+    const drawA = () => chartManager.createCallsOverTimeChart(idA, data, {
       dateField: '__chartDate',
-      color: CONFIG.dataSources[pageKey].color
+      color: CONFIG.dataSources[pageKey].color,
+      comparison: this.comparisonSeries(pageKey, compare, compareFilters),
+      forecast: this.forecastFor(pageKey, { hourly: true }),
+      anomalies: unusual,
+      onPeriodClick: this.periodDrill()
     });
+    grid.appendChild(this.chartWrap('Inbound Calls Over Time', idA, { granularity: true, select: this.forecastSelect(drawA) }));
+    drawA();
+
+    // Service level over time, for the first configured threshold
+    const sl = CONFIG.serviceLevel[0];
+    if (sl && data.some(r => r.waitTime_numeric != null)) {
+      const idSL = `${pageKey}-service-level`;
+      const slRows = (rows) => rows.map(r => ({ __chartDate: r.__chartDate, sl: this.answeredWithin(r, sl.seconds) ? 100 : 0 }));
+      grid.appendChild(this.chartWrap(`Service Level (answered within ${sl.seconds}s)`, idSL, { granularity: true }));
+      chartManager.createCallsOverTimeChart(idSL, slRows(data), {
+        dateField: '__chartDate',
+        valueField: 'sl',
+        aggregate: 'avg',
+        label: 'Service level %',
+        color: '#10b981',
+        target: { value: sl.target, label: `Target ${sl.target}%` },
+        comparison: this.comparisonSeries(pageKey, compare, compareFilters, slRows),
+        onPeriodClick: this.periodDrill()
+      });
+    }
 
     const idB = `${pageKey}-status`;
     grid.appendChild(this.chartWrap('Status Distribution', idB));
-    chartManager.createStatusChart(idB, data, getFieldMapping(pageKey,'status')[0] || 'Disposition');
+    chartManager.createStatusChart(idB, data, getFieldMapping(pageKey,'status')[0] || 'Disposition', {
+      onClick: this.dispositionDrill()
+    });
 
     const idC = `${pageKey}-agent`;
     grid.appendChild(this.chartWrap('Top Agents', idC));
-    chartManager.createAgentChart(idC, data, getFieldMapping(pageKey,'agent')[0] || 'Agent Name');
+    chartManager.createAgentChart(idC, data, getFieldMapping(pageKey,'agent')[0] || 'Agent Name', {
+      onClick: this.agentDrill()
+    });
 
     // Chart 4: Average Calls Per Hour by Agent
     const idD = `${pageKey}-calls-per-hour-agent`;
@@ -191,7 +312,7 @@ class PageRenderer {
       callsPerHourByAgent[agent].calls += 1;
 
       if (r.date_parsed) {
-        const hour = r.date_parsed.getHours();
+        const hour = zonedParts(r.date_parsed).hour;
         const dateHour = `${r.__chartDate}-${hour}`;
         callsPerHourByAgent[agent].hours.add(dateHour);
       }
@@ -213,14 +334,93 @@ class PageRenderer {
       labels: agentLabels,
       data: agentValues,
       label: 'Avg Calls/Hour',
-      multiColor: true
+      multiColor: true,
+      onClick: this.agentDrill()
+    });
+
+    // Chart 5: When calls arrive, by weekday and hour; a cell click drills into that slot
+    const idE = `${pageKey}-weekday-hour`;
+    const metricLabels = Object.fromEntries(Object.entries(HEATMAP_METRICS).map(([k, m]) => [k, m.label]));
+    grid.appendChild(this.chartWrap('Weekday × Hour', idE, {
+      select: {
+        options: metricLabels,
+        value: this.heatmapMetric,
+        label: 'metric',
+        onChange: (metric) => {
+          this.heatmapMetric = metric;
+          this.weekdayHourHeatmap(idE, data);
+        }
+      }
+    }));
+    this.weekdayHourHeatmap(idE, data);
+
+    container.appendChild(this.agentLeaderboard(pageKey));
+  }
+
+  weekdayHourHeatmap(id, data) {
+    const metric = HEATMAP_METRICS[this.heatmapMetric] || HEATMAP_METRICS.volume;
+    const hour = (h) => `${String(h).padStart(2, '0')}:00`;
+    const days = [1, 2, 3, 4, 5, 6, 0];
+    chartManager.createHeatmapChart(id, {
+      xLabels: Array.from({ length: 24 }, (_, h) => hour(h)),
+      yLabels: days.map(d => WEEKDAY_NAMES[d]),
+      cells: this.weekdayHourCells(data, this.heatmapMetric).map(c => ({ ...c, x: hour(c.hour), y: WEEKDAY_NAMES[c.weekday] })),
+      label: metric.label,
+      color: metric.color,
+      format: (v) => formatNumber(v, metric.format),
+      onClick: this.drillHandler(({ weekday, hour }) => {
+        const hours = { from: hour, to: hour + 1 };
+        return { label: `${describeWeekdays([weekday])} ${describeHours(hours)}`, filters: { weekdays: [weekday], hours } };
+      })
     });
   }
 
-  calculateKPIs(pageKey, data) {
+  /**
+   * One cell per weekday (0 = Sunday) and hour in the reporting timezone:
+   * { weekday, hour, count, value }, value being the call count, abandon
+   * rate (%) or mean wait (s) of the slot, or null when it has no calls
+   */
+  weekdayHourCells(rows, metric){
+    const slots = new Map();
+    rows.forEach(r => {
+      if (!r.date_parsed) return;
+      const { weekday, hour } = zonedParts(r.date_parsed);
+      const key = weekday * 24 + hour;
+      const slot = slots.get(key) || { count: 0, abandoned: 0, wait: 0, waits: 0 };
+      slot.count++;
+      if (isAbandoned(r.Disposition || '')) slot.abandoned++;
+      // Calls without a wait time are left out of the mean rather than counted as 0s
+      if (r.waitTime_numeric != null) {
+        slot.wait += cleanNumber(r.waitTime_numeric);
+        slot.waits++;
+      }
+      slots.set(key, slot);
+    });
+
+    const cells = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      for (let hour = 0; hour < 24; hour++) {
+        const slot = slots.get(weekday * 24 + hour);
+        let value = null;
+        if (slot && metric === 'abandon') value = (slot.abandoned / slot.count) * 100;
+        else if (slot && metric === 'wait') value = slot.waits ? slot.wait / slot.waits : null;
+        else if (slot) value = slot.count;
+        cells.push({ weekday, hour, count: slot?.count || 0, value });
+      }
+    }
+    return cells;
+  }
+
+  // Counts towards the service level: answered, after waiting at most `seconds`
+  answeredWithin(r, seconds) {
+    return !isAbandoned(r.Disposition || '') && r.waitTime_numeric != null && r.waitTime_numeric <= seconds;
+  }
+
+  calculateKPIs(pageKey, filters = this.currentFilters) {
     const out = {};
 
     if (pageKey === 'inbound') {
+      const data = dataLoader.getData('inbound', filters);
       const total = data.length;
       const abandoned = data.filter(r => isAbandoned(r.Disposition || '')).length;
 
@@ -234,11 +434,28 @@ class PageRenderer {
       const avgWaitFromNumeric = this.avg(data, 'waitTime_numeric');
       const avgWaitFromRaw = this.avg(data, 'Wait Time');
       out.avgWaitTime = avgWaitFromNumeric || avgWaitFromRaw || 0;
+
+      // Service level needs wait times; without them the cards are left out
+      if (data.some(r => r.waitTime_numeric != null)) {
+        CONFIG.serviceLevel.forEach(({ seconds }) => {
+          const met = data.filter(r => this.answeredWithin(r, seconds)).length;
+          out[`serviceLevel_${seconds}`] = total > 0 ? (met / total) * 100 : 0;
+        });
+      }
+
+      // Percentiles over answered calls
+      const answered = data.filter(r => !isAbandoned(r.Disposition || ''));
+      const waits = answered.map(r => r.waitTime_numeric).filter(v => v >= 0);
+      const talks = answered.map(r => r.duration_numeric).filter(v => v > 0);
+      [50, 90, 95].forEach(p => {
+        if (waits.length) out[`waitP${p}`] = percentile(waits, p);
+        if (talks.length) out[`talkP${p}`] = percentile(talks, p);
+      });
     }
 
     if (pageKey === 'outbound') {
-      const outboundCallsData = dataLoader.getData('outbound', this.currentFilters);
-      const connectRateData = dataLoader.getData('outbound_connectrate', this.currentFilters);
+      const outboundCallsData = dataLoader.getData('outbound', filters);
+      const connectRateData = dataLoader.getData('outbound_connectrate', filters);
 
       const totalOutboundCalls = outboundCallsData.reduce((s, r) => s + cleanNumber(r['Outbound Calls']), 0);
       const totalAttempts = connectRateData.length;
@@ -259,19 +476,23 @@ class PageRenderer {
     }
 
     if (pageKey === 'fcr') {
-	  const fcrData = dataLoader.getData('fcr', this.currentFilters);
+	  const fcrData = dataLoader.getData('fcr', filters);
 	  const totalCases = fcrData.reduce((s, r) => s + cleanNumber(r.Count_numeric), 0);
 	  out.totalCases = totalCases;
 
       try {
-        const inboundData = dataLoader.getData('inbound', this.currentFilters);
-        const outboundConnectData = dataLoader.getData('outbound_connectrate', this.currentFilters);
+        // Only filters every source takes, or e.g. all FCR cases would be
+        // divided by one agent's connected calls
+        const shared = dataLoader.sharedFilters(FCR_RATE_SOURCES, filters);
+        const rateCases = dataLoader.getData('fcr', shared).reduce((s, r) => s + cleanNumber(r.Count_numeric), 0);
+        const inboundData = dataLoader.getData('inbound', shared);
+        const outboundConnectData = dataLoader.getData('outbound_connectrate', shared);
 
         const totalInboundConnected = inboundData.filter(r => !isAbandoned(r.Disposition || '')).length;
         const totalOutboundConnected = outboundConnectData.filter(r => r.isConnected).length;
         const totalConnectedCalls = totalInboundConnected + totalOutboundConnected;
 
-        out.fcrPercentage = totalConnectedCalls > 0 ? (totalCases / totalConnectedCalls) * 100 : 0;
+        out.fcrPercentage = totalConnectedCalls > 0 ? (rateCases / totalConnectedCalls) * 100 : 0;
 
         console.log('FCR KPIs:', {
           totalCases,
@@ -289,17 +510,932 @@ class PageRenderer {
     return out;
   }
 
+  /**
+   * Note naming the active filters that some of the page's sources can't
+   * take (dataLoader.unappliedFilters), so the chips don't suggest every
+   * number is filtered; null when they all apply
+   */
+  filterNotes(pageKey){
+    const label = (name) => ({ agents: 'Agent', hours: 'Hour' })[name] || CONFIG.categoryFilters[name]?.label || name;
+    const lines = (PAGE_SOURCES[pageKey] || [])
+      .filter(key => dataLoader.data[key]?.length)
+      .flatMap(key => {
+        const names = dataLoader.unappliedFilters(key, this.currentFilters).map(label);
+        if (!names.length) return [];
+        return [`${names.join(', ')} ${names.length > 1 ? 'filters' : 'filter'} not applied to ${CONFIG.dataSources[key].name}`];
+      });
+    if (!lines.length) return null;
+    if (pageKey === 'fcr') lines.push('The FCR rate and volume comparison leave these filters out for every source, so they compare like with like');
+
+    const note = document.createElement('ul');
+    note.className = 'filter-notes';
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      note.appendChild(item);
+    });
+    return note;
+  }
+
+  // Rows of the comparison range for an over-time chart overlay, through
+  // mapRows when the chart plots derived rows
+  comparisonSeries(key, compare, compareFilters, mapRows = (rows) => rows) {
+    if (!compare) return null;
+    return {
+      rows: mapRows(dataLoader.getData(key, compareFilters)),
+      align: compare.align,
+      label: `${COMPARE_LABELS[this.currentFilters.compare.mode]} (${formatDate(compare.startDate)} – ${formatDate(compare.endDate)})`
+    };
+  }
+
+  // Weeks to forecast on the volume charts, 0 for none
+  forecastWeeks() {
+    const weeks = +localStorage.getItem(FORECAST_STORAGE_KEY);
+    return CONFIG.forecast.weeks.includes(weeks) ? weeks : 0;
+  }
+
+  // Horizon selector for a volume chart; redraw() draws it again with the new horizon
+  forecastSelect(redraw) {
+    const options = { 0: 'No forecast' };
+    CONFIG.forecast.weeks.forEach(w => { options[w] = `Forecast ${w} weeks`; });
+    return {
+      options,
+      value: this.forecastWeeks(),
+      label: 'forecast',
+      onChange: (weeks) => {
+        localStorage.setItem(FORECAST_STORAGE_KEY, weeks);
+        redraw();
+      }
+    };
+  }
+
+  // Filtered rows of a source from the start of the loaded data to the end of
+  // the selected range, for models that need more than the range itself
+  history(key) {
+    const { endDate } = this.currentFilters;
+    return dataLoader.getData(key, { ...this.currentFilters, startDate: null, endDate: null })
+      .filter(r => !endDate || r.__chartDate <= endDate);
+  }
+
+  /**
+   * Unusual days in the selected range across the page's ANOMALY_METRICS,
+   * newest first: [{ day, label, value, expected, score, direction, format, text }].
+   * Baselines look at the weeks around each day, so history before the range counts.
+   */
+  unusualDays(pageKey) {
+    const { startDate, endDate } = this.currentFilters;
+    return (ANOMALY_METRICS[pageKey] || []).flatMap(m => {
+      const format = m.hit ? 'percentage' : 'number';
+      const series = dailyValues(this.history(m.source || pageKey), m);
+      return detectAnomalies(series, { ...CONFIG.anomaly, rate: !!m.hit })
+        .filter(a => !startDate || a.day >= startDate)
+        .filter(a => !endDate || a.day <= endDate)
+        .map(a => ({ ...a, label: m.label, format, text: describeAnomaly(a, m.label, format) }));
+    }).sort((a, b) => b.day.localeCompare(a.day) || Math.abs(b.score) - Math.abs(a.score));
+  }
+
+  unusualDaysTable(unusual){
+    const card = document.createElement('div');
+    card.className = 'table-container unusual-days';
+
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = 'Unusual days';
+    const summary = document.createElement('span');
+    summary.className = 'unusual-summary';
+    const days = new Set(unusual.map(a => a.day)).size;
+    summary.textContent = days
+      ? `${days} day${days === 1 ? '' : 's'} out of line with the same weekday in the surrounding weeks`
+      : 'Nothing out of line with the same weekday in the surrounding weeks';
+    header.append(title, summary);
+    card.appendChild(header);
+    if (!unusual.length) return card;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Date</th><th>Metric</th><th>Actual</th><th>Usual</th><th>Deviation</th></tr></thead>';
+    const body = document.createElement('tbody');
+    unusual.forEach(a => {
+      const tr = document.createElement('tr');
+      tr.className = `unusual-${a.direction}`;
+      tr.title = a.text;
+      const show = (v) => formatNumber(a.format === 'percentage' ? v : Math.round(v), a.format);
+      const cells = [
+        new Date(`${a.day}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }),
+        a.label,
+        show(a.value),
+        `~${show(a.expected)}`,
+        `${a.direction === 'high' ? '▲' : '▼'} ${Math.abs(a.score).toFixed(1)}σ`
+      ];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    card.appendChild(wrap);
+    return card;
+  }
+
+  // Forecast overlay for an over-time chart, projected from the last day with data
+  forecastFor(key, { valueField = null, hourly = false } = {}) {
+    const weeks = this.forecastWeeks();
+    if (!weeks) return null;
+    const { holdoutWeeks, confidence } = CONFIG.forecast;
+    const result = forecastVolume(this.history(key), { valueField, weeks, holdoutWeeks, confidence, hourly });
+    if (!result) return null;
+    const accuracy = result.mape == null ? '' : ` (MAPE ${result.mape.toFixed(1)}% on last ${holdoutWeeks} weeks)`;
+    return { points: result.points, z: result.z, label: `Forecast, ${confidence}% band${accuracy}` };
+  }
+
+  /**
+   * Change from the comparison period: percentage KPIs by points, others
+   * relative to the previous value. direction is "positive" when it moved
+   * the way def.better says is good ("higher" unless set to "lower").
+   */
+  kpiChange(def, current, previous) {
+    const diff = current - previous;
+    if (!diff) return { text: 'No change', direction: null };
+
+    const arrow = diff > 0 ? '▲' : '▼';
+    let text;
+    if (def.format === 'percentage') text = `${arrow} ${Math.abs(diff).toFixed(1)} pts`;
+    else if (!previous) text = `${arrow} ${formatNumber(Math.abs(diff), def.format)}`;
+    else text = `${arrow} ${Math.abs((diff / previous) * 100).toFixed(1)}%`;
+
+    const good = (diff > 0) === (def.better !== 'lower');
+    return { text, direction: good ? 'positive' : 'negative' };
+  }
+
+  /**
+   * Stated totals vs the sum of daily rows (see dataLoader.getReconciliation)
+   */
+  reconciliationTable(recon){
+    const card = document.createElement('div');
+    card.className = 'table-container reconciliation';
+
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = 'Totals Reconciliation';
+    const summary = document.createElement('span');
+    const bad = recon.filter(p => p.status === 'mismatch').length;
+    const gaps = recon.filter(p => p.status === 'gaps').length;
+    summary.className = `recon-summary recon-${bad ? 'mismatch' : gaps ? 'gaps' : 'ok'}`;
+    summary.textContent = bad
+      ? `${bad} of ${recon.length} periods don't match their stated total; treat the daily breakdown for them with caution`
+      : gaps
+        ? `All totals match; ${gaps} period${gaps === 1 ? ' has' : 's have'} days without rows`
+        : 'All totals match the daily rows';
+    header.append(title, summary);
+    card.appendChild(header);
+
+    const label = (d, opts) => new Date(`${d}T00:00:00Z`).toLocaleDateString('en-GB', { ...opts, timeZone: 'UTC' });
+    const dayLabel = (d) => label(d, { day: 'numeric', month: 'short' });
+    const statusText = { ok: '✅ Matches', gaps: '⚠️ Days missing', mismatch: '❌ Mismatch', untotalled: '➖ No stated total' };
+
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Period</th><th>Stated total</th><th>Sum of days</th>' +
+      '<th>Difference</th><th>Days with rows</th><th>Missing days</th><th>Status</th></tr></thead>';
+    const body = document.createElement('tbody');
+    recon.forEach(p => {
+      const tr = document.createElement('tr');
+      if (p.month == null) tr.className = 'recon-year';
+      const missing = p.missingDays.length
+        ? `${p.missingDays.length}: ${p.missingDays.slice(0, 5).map(dayLabel).join(', ')}${p.missingDays.length > 5 ? ', …' : ''}`
+        : '—';
+      const cells = [
+        p.month == null ? `${p.year} (year)` : label(p.start, { month: 'short', year: 'numeric' }),
+        p.stated == null ? '—' : formatNumber(p.stated),
+        formatNumber(p.actual),
+        p.difference == null ? '—' : `${p.difference > 0 ? '+' : ''}${formatNumber(p.difference)}`,
+        formatNumber(p.daysWithData),
+        missing,
+        statusText[p.status]
+      ];
+      cells.forEach((text, i) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (i === 5 && p.missingDays.length) td.title = p.missingDays.map(dayLabel).join(', ');
+        if (i === 6) td.className = `recon-${p.status}`;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    card.appendChild(wrap);
+    return card;
+  }
+
+  /**
+   * Data Health page: per-source load diagnostics with downloadable samples
+   */
+  async renderHealth(){
+    const container = document.getElementById('health-content');
+    if(!container) return;
+    container.innerHTML = '';
+
+    Object.entries(CONFIG.dataSources).forEach(([key, src]) => {
+      container.appendChild(this.healthCard(key, src, dataLoader.getMetadata(key)));
+    });
+  }
+
+  healthCard(key, src, meta){
+    const card = document.createElement('div');
+    card.className = 'table-container health-card';
+    const diag = meta.diagnostics;
+
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = `${src.icon} ${src.name}`;
+    const origin = document.createElement('span');
+    origin.className = 'health-origin';
+    origin.textContent = meta.files?.length > 1 ? `${meta.files.length} files merged` : (meta.file || src.url || '');
+    header.append(title, origin);
+    if(meta.diagnostics?.headers?.length){
+      const mapBtn = document.createElement('button');
+      mapBtn.className = 'btn-secondary';
+      mapBtn.textContent = '🧭 Column Mapping';
+      mapBtn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('edit-column-mapping', { detail: { key } }));
+      });
+      header.appendChild(mapBtn);
+    }
+    card.appendChild(header);
+
+    if(!diag){
+      const p = document.createElement('p');
+      p.className = 'health-empty';
+      p.textContent = meta.rowCount != null ? 'No diagnostics recorded for this load.' : 'Not loaded.';
+      card.appendChild(p);
+      return card;
+    }
+
+    const rejectedTotal = Object.values(diag.rejected).reduce((a, b) => a + b, 0);
+    const keptPct = diag.rowsRead > 0 ? (diag.rowsKept / diag.rowsRead) * 100 : 0;
+    const unmapped = diag.unmappedColumns || [];
+
+    const files = meta.files?.length > 1 ? [
+      ['Files merged', formatNumber(meta.files.length)],
+      ...meta.files.map(f => [`  ↳ ${f.file.split('/').pop()}`,
+        `${formatNumber(f.rows)} rows, ${formatNumber(f.duplicates)} duplicates`]),
+      ['Duplicates removed across files', formatNumber(meta.duplicatesRemoved)]
+    ] : [];
+
+    const order = diag.dateOrder;
+    const dateOrder = order ? [[
+      'Date order',
+      `${order.ambiguous ? '⚠️ Ambiguous, assumed ' : ''}${ORDER_LABELS[order.order]} in "${order.column}": ${order.reason}`,
+      order.ambiguous ? 'health-warning' : ''
+    ]] : [];
+
+    const recon = dataLoader.getReconciliation(key);
+    const mismatched = recon?.filter(p => p.status === 'mismatch') || [];
+    const totals = recon ? [[
+      'Stated totals not matching daily rows',
+      mismatched.length ? mismatched.map(p => p.period).join(', ') : 'None',
+      mismatched.length ? 'health-warning' : ''
+    ]] : [];
+
+    const metrics = [
+      ...files,
+      ['Rows read', formatNumber(diag.rowsRead)],
+      ['Rows kept', `${formatNumber(diag.rowsKept)} (${formatNumber(keptPct, 'percentage')})`],
+      ['Rows rejected', formatNumber(rejectedTotal)],
+      ...Object.entries(diag.rejected)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, n]) => [`  ↳ ${reason}`, formatNumber(n)]),
+      ...dateOrder,
+      ...totals,
+      ['Unparseable dates', formatNumber(diag.unparseableDates)],
+      ['Duplicate Call IDs', formatNumber(diag.duplicateIds)],
+      ['Zero or negative durations', formatNumber(diag.nonPositiveDurations)],
+      ['Unmapped expected columns', unmapped.length
+        ? unmapped.map(u => `${u.field} (${u.expected.join(' / ')})`).join(', ')
+        : 'None']
+    ];
+
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const body = document.createElement('tbody');
+    metrics.forEach(([label, value, cls]) => {
+      const tr = document.createElement('tr');
+      if (cls) tr.className = cls;
+      const th = document.createElement('td');
+      th.textContent = label;
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.append(th, td);
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    card.appendChild(wrap);
+
+    const issues = Object.entries(diag.samples);
+    if(issues.length){
+      const list = document.createElement('div');
+      list.className = 'health-samples';
+      issues.forEach(([issue, rows]) => {
+        const item = document.createElement('div');
+        item.className = 'health-sample';
+        const label = document.createElement('span');
+        label.textContent = `${issue} — ${rows.length} sample row${rows.length === 1 ? '' : 's'}`;
+        const btn = document.createElement('button');
+        btn.className = 'btn-secondary';
+        btn.textContent = '💾 Download';
+        btn.addEventListener('click', () => {
+          const slug = issue.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+          exportToCsv(rows, `${key}_${slug}_samples.csv`);
+        });
+        item.append(label, btn);
+        list.appendChild(item);
+      });
+      card.appendChild(list);
+    }
+
+    return card;
+  }
+
+  // Planner inputs: CONFIG.staffing and the first service level, overridden by the page's saved settings
+  staffingSettings(){
+    const sl = CONFIG.serviceLevel[0] || { seconds: 20, target: 80 };
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STAFFING_STORAGE_KEY) || '{}');
+    } catch {
+      saved = {};
+    }
+    return { ...CONFIG.staffing, target: sl.target, seconds: sl.seconds, ...saved };
+  }
+
+  getStaffingPlan(){
+    return staffingPlan(
+      dataLoader.getData('inbound', this.currentFilters),
+      dataLoader.agentColumn('inbound'),
+      this.staffingSettings()
+    );
+  }
+
+  /**
+   * Staffing Planner page: Erlang C agents needed per interval of the day
+   * against the agents who took calls, from the filtered inbound data
+   */
+  async renderStaffing(){
+    const container = document.getElementById('staffing-content');
+    if(!container) return;
+    container.innerHTML = '';
+
+    const settings = this.staffingSettings();
+    container.appendChild(this.staffingForm(settings));
+
+    const plan = this.getStaffingPlan();
+    if(!plan.intervals.length){
+      const empty = document.createElement('div');
+      empty.innerHTML = document.getElementById('no-data-template').innerHTML;
+      container.appendChild(empty);
+      return;
+    }
+    const { intervals } = plan;
+
+    const under = intervals.filter(i => i.gap < 0);
+    const peak = intervals.reduce((a, b) => (b.required > a.required ? b : a));
+    const summary = [
+      { icon: '📅', color: '#3b82f6', label: 'Days averaged', value: formatNumber(plan.days) },
+      { icon: '🧮', color: '#8b5cf6', label: `Peak agents needed (${peak.start})`, value: formatNumber(peak.required) },
+      { icon: '🗓️', color: '#10b981', label: `Peak to roster, ${settings.shrinkage}% shrinkage`, value: formatNumber(peak.rostered) },
+      { icon: '⚠️', color: '#ef4444', label: 'Intervals understaffed', value: `${under.length} of ${intervals.length}` }
+    ];
+    const kpiGrid = document.createElement('div');
+    kpiGrid.className = 'kpis-grid';
+    summary.forEach(({ icon, color, label, value }) => {
+      const node = document.getElementById('kpi-template').content.cloneNode(true);
+      const iconEl = node.querySelector('.kpi-icon');
+      iconEl.textContent = icon;
+      iconEl.style.background = `${color}20`;
+      iconEl.style.color = color;
+      node.querySelector('.kpi-value').textContent = value;
+      node.querySelector('.kpi-label').textContent = label;
+      kpiGrid.appendChild(node);
+    });
+    container.appendChild(kpiGrid);
+
+    const grid = document.createElement('div');
+    grid.className = 'charts-grid';
+    container.appendChild(grid);
+    const id = 'staffing-required-vs-actual';
+    grid.appendChild(this.chartWrap('Agents Needed vs Taking Calls', id));
+    chartManager.createComboChart(id, {
+      labels: intervals.map(i => i.start),
+      lines: [
+        { label: `Needed for ${settings.target}% in ${settings.seconds}s`, data: intervals.map(i => i.required), color: '#8b5cf6' },
+        { label: 'To roster (with shrinkage)', data: intervals.map(i => i.rostered), color: '#94a3b8' }
+      ],
+      bars: [{ label: 'Agents taking calls (avg)', data: intervals.map(i => Math.round(i.actual * 10) / 10), color: '#3b82f6' }]
+    });
+
+    container.appendChild(this.staffingTable(intervals, settings));
+  }
+
+  staffingForm(settings){
+    const form = document.createElement('form');
+    form.className = 'filters-panel staffing-form';
+    const fields = [
+      { name: 'target', label: 'Target %', min: 1, max: 99.9, step: 0.1 },
+      { name: 'seconds', label: 'Answered within (s)', min: 1, max: 3600, step: 1 },
+      { name: 'shrinkage', label: 'Shrinkage %', min: 0, max: 90, step: 1 }
+    ];
+    fields.forEach(({ name, label, min, max, step }) => {
+      const group = document.createElement('div');
+      group.className = 'filter-group';
+      const lbl = document.createElement('label');
+      lbl.htmlFor = `staffing-${name}`;
+      lbl.textContent = label;
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', id: `staffing-${name}`, name, min, max, step, value: settings[name] });
+      input.className = 'date-input';
+      group.append(lbl, input);
+      form.appendChild(group);
+    });
+    const note = document.createElement('span');
+    note.className = 'staffing-note';
+    note.textContent = `Erlang C per ${settings.intervalMinutes}-minute interval, averaged over the filtered days. Use the weekday filter to plan a particular day.`;
+    form.appendChild(note);
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', () => {
+      if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+      }
+      const next = Object.fromEntries(fields.map(({ name }) => [name, Number(form.elements[name].value)]));
+      localStorage.setItem(STAFFING_STORAGE_KEY, JSON.stringify(next));
+      this.renderStaffing();
+    });
+    return form;
+  }
+
+  staffingTable(intervals, settings){
+    const card = document.createElement('div');
+    card.className = 'table-container';
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = 'Staffing by Interval';
+    header.appendChild(title);
+    card.appendChild(header);
+
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Interval</th><th>Calls / day</th><th>AHT</th><th>Traffic (Erlangs)</th>' +
+      '<th>Needed</th><th>To roster</th><th>Taking calls</th><th>Gap</th>' +
+      `<th title="Share answered within ${settings.seconds}s with the agents who took calls">Projected SL</th></tr></thead>`;
+    const body = document.createElement('tbody');
+    intervals.forEach(i => {
+      const tr = document.createElement('tr');
+      if (i.gap < 0) tr.className = 'staffing-under';
+      [
+        i.start,
+        i.calls.toFixed(1),
+        formatNumber(i.aht, 'duration'),
+        i.traffic.toFixed(2),
+        formatNumber(i.required),
+        formatNumber(i.rostered),
+        i.actual.toFixed(1),
+        `${i.gap > 0 ? '+' : ''}${i.gap.toFixed(1)}`,
+        i.projectedServiceLevel == null ? '—' : formatNumber(i.projectedServiceLevel, 'percentage')
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    card.appendChild(wrap);
+    return card;
+  }
+
+  // agentStats over the given SCORECARD_SOURCES names
+  agentStatsFor(names, filters = this.currentFilters){
+    return agentStats(Object.fromEntries(names.map(name => {
+      const key = SCORECARD_SOURCES[name];
+      return [name, { rows: dataLoader.getData(key, filters), column: dataLoader.agentColumn(key) }];
+    })));
+  }
+
+  // Every agent in the filters with the page's per-agent metrics; a row opens their scorecard
+  agentLeaderboard(pageKey){
+    const { sources, metrics } = LEADERBOARD[pageKey];
+    const stats = this.agentStatsFor(sources);
+    const defs = metrics.map(key => SCORECARD_METRICS.find(m => m.key === key));
+    const table = new DataTable({
+      title: 'Agent Leaderboard',
+      noun: 'agents',
+      columns: [{ key: 'agent', label: 'Agent' }, ...defs.map(({ key, label, format }) => ({ key, label, format, className: 'numeric' }))],
+      rows: [...stats].map(([agent, s]) => ({ agent, ...s })).filter(row => metrics.some(key => row[key] != null)),
+      sort: { key: metrics[0], dir: 'desc' },
+      exportName: `${pageKey}_agent_leaderboard`,
+      onRowClick: (row) => this.openScorecard(row.agent)
+    });
+    return table.element;
+  }
+
+  // Ask the dashboard to show an agent's scorecard (handled in main.js)
+  openScorecard(agent){
+    document.dispatchEvent(new CustomEvent('open-scorecard', { detail: { agent } }));
+  }
+
+  /**
+   * A chart click handler asking the dashboard to drill in (handled in
+   * main.js). toDrill maps the click to { label, filters, agent? }, filters
+   * being the part of the current filters to narrow, or to null to ignore it.
+   * Null, for no click handling, when CONFIG.features.chartInteractions is off.
+   */
+  drillHandler(toDrill){
+    if (!CONFIG.features.chartInteractions) return null;
+    return (...args) => {
+      const drill = toDrill(...args);
+      if (drill) document.dispatchEvent(new CustomEvent('drill', { detail: drill }));
+    };
+  }
+
+  // Over-time charts: to the clicked day, week, month... at the chart's granularity
+  periodDrill(){
+    return this.drillHandler(({ startDate, endDate, label }) => ({ label, filters: { startDate, endDate } }));
+  }
+
+  agentDrill(){
+    return this.drillHandler(agent => ({ label: `Agent: ${agent}`, filters: { agents: [agent] }, agent }));
+  }
+
+  // Status slices that are disposition filter values ("Unknown" stands for blanks, so isn't)
+  dispositionDrill(){
+    const def = CONFIG.categoryFilters.disposition;
+    return this.drillHandler(value => {
+      if (!def || !dataLoader.getFilterOptions().disposition?.includes(value)) return null;
+      return { label: `${def.label}: ${value}`, filters: { categories: { disposition: [value] } } };
+    });
+  }
+
+  /**
+   * The scorecard agent's metrics ranked against the team: the agents picked
+   * in the agent filter, or everyone. Other filters apply to both.
+   * Returns { agent, agents, stats, ranking, team } with agent null when no
+   * source has agents.
+   */
+  getScorecard(){
+    const stats = this.agentStatsFor(Object.keys(SCORECARD_SOURCES), { ...this.currentFilters, agents: null });
+    const agents = [...stats.keys()].sort((a, b) => a.localeCompare(b));
+    const team = this.currentFilters.agents?.length ? this.currentFilters.agents : agents;
+
+    // Default to the busiest agent in the team
+    const volume = (name) => (stats.get(name)?.inboundCalls || 0) + (stats.get(name)?.outboundCalls || 0);
+    let agent = this.scorecardAgent;
+    if (!stats.has(agent)) agent = [...team].filter(n => stats.has(n)).sort((a, b) => volume(b) - volume(a))[0] || null;
+
+    return { agent, agents, stats, team, ranking: agent ? rankAgent(stats, agent, team) : [] };
+  }
+
+  /**
+   * Agent Scorecard page: one agent's inbound, outbound and connect-rate
+   * metrics for the current filters, with a daily trend and their rank
+   * against the team median
+   */
+  async renderScorecard(){
+    const container = document.getElementById('scorecard-content');
+    if(!container) return;
+    container.innerHTML = '';
+
+    const { agent, agents, stats, team, ranking } = this.getScorecard();
+    container.appendChild(this.scorecardForm(agent, agents));
+    if(!agent){
+      const empty = document.createElement('div');
+      empty.innerHTML = document.getElementById('no-data-template').innerHTML;
+      container.appendChild(empty);
+      return;
+    }
+    const own = stats.get(agent);
+
+    const kpiGrid = document.createElement('div');
+    kpiGrid.className = 'kpis-grid';
+    ranking.forEach(m => {
+      const node = document.getElementById('kpi-template').content.cloneNode(true);
+      const iconEl = node.querySelector('.kpi-icon');
+      iconEl.textContent = `#${m.rank}`;
+      iconEl.style.background = '#8b5cf620';
+      iconEl.style.color = '#8b5cf6';
+      iconEl.title = `Rank ${m.rank} of ${m.of}`;
+      node.querySelector('.kpi-value').textContent = formatNumber(m.value, m.format);
+      node.querySelector('.kpi-label').textContent = m.label;
+      const change = node.querySelector('.kpi-change');
+      change.textContent = `Team median ${formatNumber(m.median, m.format)}`;
+      if (m.value !== m.median) change.classList.add((m.value > m.median) === (m.better !== 'lower') ? 'positive' : 'negative');
+      kpiGrid.appendChild(node);
+    });
+    container.appendChild(kpiGrid);
+
+    const grid = document.createElement('div');
+    grid.className = 'charts-grid';
+    container.appendChild(grid);
+
+    // Daily trend against the team's median day
+    const days = [...new Set(team.flatMap(n => [...(stats.get(n)?.daily.keys() || [])]).concat([...own.daily.keys()]))].sort();
+    const teamMedian = (field) => days.map(d => percentile(
+      team.map(n => stats.get(n)?.daily.get(d)?.[field]).filter(v => v != null), 50) ?? 0);
+    const idA = 'scorecard-daily';
+    grid.appendChild(this.chartWrap('Daily Calls', idA));
+    chartManager.createComboChart(idA, {
+      labels: days.map(d => formatDate(d)),
+      bars: [
+        ...(own.inboundCalls ? [{ label: 'Inbound', data: days.map(d => own.daily.get(d)?.inbound || 0), color: CONFIG.dataSources.inbound.color }] : []),
+        ...(own.outboundCalls ? [{ label: 'Outbound', data: days.map(d => own.daily.get(d)?.outbound || 0), color: CONFIG.dataSources.outbound.color }] : [])
+      ],
+      lines: [
+        ...(own.inboundCalls ? [{ label: 'Team median inbound', data: teamMedian('inbound'), color: '#1e40af' }] : []),
+        ...(own.outboundCalls ? [{ label: 'Team median outbound', data: teamMedian('outbound'), color: '#047857' }] : [])
+      ]
+    });
+
+    if (own.inboundCalls) {
+      const idB = 'scorecard-mix';
+      grid.appendChild(this.chartWrap('Handled vs Abandoned', idB));
+      chartManager.createDoughnutChart(idB, [], {
+        labels: ['Handled', 'Abandoned'],
+        data: [own.handled, own.inboundCalls - own.handled]
+      });
+    }
+
+    container.appendChild(this.scorecardTable(agent, ranking));
+  }
+
+  scorecardForm(agent, agents){
+    const form = document.createElement('form');
+    form.className = 'filters-panel scorecard-form';
+    const group = document.createElement('div');
+    group.className = 'filter-group';
+    const lbl = document.createElement('label');
+    lbl.htmlFor = 'scorecard-agent';
+    lbl.textContent = 'Agent';
+    const select = document.createElement('select');
+    select.id = 'scorecard-agent';
+    select.className = 'date-input';
+    agents.forEach(name => select.add(new Option(name, name)));
+    select.value = agent || '';
+    group.append(lbl, select);
+    const note = document.createElement('span');
+    note.className = 'scorecard-note';
+    note.textContent = this.currentFilters.agents?.length
+      ? `Ranked against the ${this.currentFilters.agents.length} agents picked in the agent filter.`
+      : 'Ranked against all agents. Pick a team in the agent filter to compare with it instead.';
+    form.append(group, note);
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    select.addEventListener('change', () => {
+      this.scorecardAgent = select.value;
+      this.renderScorecard();
+    });
+    return form;
+  }
+
+  scorecardTable(agent, ranking){
+    const card = document.createElement('div');
+    card.className = 'table-container';
+    const header = document.createElement('div');
+    header.className = 'table-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = `${agent} vs Team`;
+    header.appendChild(title);
+    card.appendChild(header);
+
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Metric</th><th>Agent</th><th>Team median</th><th>vs Median</th><th>Rank</th></tr></thead>';
+    const body = document.createElement('tbody');
+    ranking.forEach(m => {
+      const tr = document.createElement('tr');
+      const diff = m.value - m.median;
+      const vs = m.format === 'percentage'
+        ? `${diff > 0 ? '+' : ''}${diff.toFixed(1)} pts`
+        : m.median ? `${diff > 0 ? '+' : ''}${((diff / m.median) * 100).toFixed(0)}%` : '—';
+      [m.label, formatNumber(m.value, m.format), formatNumber(m.median, m.format), vs, `${m.rank} of ${m.of}`].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    card.appendChild(wrap);
+    return card;
+  }
+
+  // Explorer settings: { source, hidden: { source: [column keys] } }
+  explorerSettings(){
+    try {
+      return { hidden: {}, ...JSON.parse(localStorage.getItem(EXPLORER_STORAGE_KEY) || '{}') };
+    } catch {
+      return { hidden: {} };
+    }
+  }
+
+  saveExplorerSettings(changes){
+    localStorage.setItem(EXPLORER_STORAGE_KEY, JSON.stringify({ ...this.explorerSettings(), ...changes }));
+  }
+
+  // A processed value as the explorer shows it; dates in the reporting timezone
+  explorerText(v){
+    if (v == null || v === '') return '—';
+    if (v instanceof Date) {
+      if (Number.isNaN(v.getTime())) return 'Invalid date';
+      const p = zonedParts(v);
+      const time = [p.hour, p.minute, p.second].map(n => String(n).padStart(2, '0')).join(':');
+      return `${zonedDayKey(v)} ${time}`;
+    }
+    return String(v);
+  }
+
+  /**
+   * Data Explorer page: the processed rows of a loaded source, after the
+   * active filters, in a table with per-column filters. A row click shows
+   * every field, the ones the dashboard derived listed apart.
+   */
+  async renderExplorer(){
+    const container = document.getElementById('explorer-content');
+    if(!container) return;
+    container.innerHTML = '';
+
+    const settings = this.explorerSettings();
+    const sources = Object.keys(dataLoader.data).filter(key => CONFIG.dataSources[key]);
+    const key = sources.includes(settings.source) ? settings.source : sources[0];
+    container.appendChild(this.explorerForm(key, sources));
+    if(!key){
+      this.explorerTable = null;
+      const empty = document.createElement('div');
+      empty.innerHTML = document.getElementById('no-data-template').innerHTML;
+      container.appendChild(empty);
+      return;
+    }
+
+    const rows = dataLoader.getData(key, this.currentFilters);
+    const headers = new Set(dataLoader.getMetadata(key).diagnostics?.headers || []);
+    const keys = new Set();
+    rows.slice(0, EXPLORER_SAMPLE_ROWS).forEach(r => Object.keys(r).forEach(k => keys.add(k)));
+    // Source columns first, then the derived ones
+    const ordered = [...keys].filter(k => !headers.size || headers.has(k))
+      .concat([...keys].filter(k => headers.size && !headers.has(k)));
+
+    const layout = document.createElement('div');
+    layout.className = 'explorer-layout';
+    const detail = document.createElement('aside');
+    detail.className = 'explorer-detail hidden';
+    this.explorerTable = new DataTable({
+      title: `${CONFIG.dataSources[key].name}: processed rows`,
+      noun: 'rows',
+      columns: ordered.map(k => ({
+        key: k,
+        label: k,
+        className: headers.size && !headers.has(k) ? 'derived' : '',
+        text: (row) => this.explorerText(row[k])
+      })),
+      rows,
+      height: 560,
+      rowHeight: 36,
+      exportName: `${key}_rows`,
+      columnFilters: true,
+      columnPicker: true,
+      hidden: settings.hidden[key] || [],
+      onColumnsChange: (hidden) => this.saveExplorerSettings({ hidden: { ...this.explorerSettings().hidden, [key]: hidden } }),
+      onRowClick: (row) => this.explorerDetail(detail, row, headers)
+    });
+    layout.append(this.explorerTable.element, detail);
+    container.appendChild(layout);
+  }
+
+  explorerForm(key, sources){
+    const form = document.createElement('form');
+    form.className = 'filters-panel explorer-form';
+    const group = document.createElement('div');
+    group.className = 'filter-group';
+    const lbl = document.createElement('label');
+    lbl.htmlFor = 'explorer-source';
+    lbl.textContent = 'Source';
+    const select = document.createElement('select');
+    select.id = 'explorer-source';
+    select.className = 'date-input';
+    sources.forEach(k => select.add(new Option(`${CONFIG.dataSources[k].name} (${formatNumber(dataLoader.data[k].length)} rows)`, k)));
+    select.value = key || '';
+    group.append(lbl, select);
+    const note = document.createElement('span');
+    note.className = 'explorer-note';
+    note.textContent = 'Rows after loading and the active filters. Filter a column by text, or by a comparison such as "> 60". Derived fields are in italics.';
+    form.append(group, note);
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    select.addEventListener('change', () => {
+      this.saveExplorerSettings({ source: select.value });
+      this.renderExplorer();
+    });
+    return form;
+  }
+
+  // Every field of a row: the file's own columns, then those added in processing
+  explorerDetail(panel, row, headers){
+    panel.innerHTML = '';
+    panel.classList.remove('hidden');
+
+    const header = document.createElement('div');
+    header.className = 'explorer-detail-header';
+    const title = document.createElement('h3');
+    title.className = 'table-title';
+    title.textContent = 'Row details';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'error-close';
+    close.title = 'Close';
+    close.textContent = '×';
+    close.addEventListener('click', () => panel.classList.add('hidden'));
+    header.append(title, close);
+    panel.appendChild(header);
+
+    const keys = Object.keys(row);
+    const groups = [
+      ['From the file', keys.filter(k => !headers.size || headers.has(k))],
+      ['Derived by the dashboard', keys.filter(k => headers.size && !headers.has(k))]
+    ];
+    groups.forEach(([heading, fields]) => {
+      if (!fields.length) return;
+      const h = document.createElement('h4');
+      h.textContent = heading;
+      const list = document.createElement('dl');
+      list.className = 'explorer-fields';
+      fields.forEach(k => {
+        const dt = document.createElement('dt');
+        dt.textContent = k;
+        const dd = document.createElement('dd');
+        const v = row[k];
+        dd.textContent = this.explorerText(v);
+        if (v instanceof Date) dd.title = `${v.toISOString()} (UTC); shown in ${CONFIG.timezone}`;
+        else if (v != null && typeof v !== 'string') dd.title = typeof v;
+        list.append(dt, dd);
+      });
+      panel.append(h, list);
+    });
+  }
+
   avg(data, field){
     const nums = data.map(r => cleanNumber(r[field])).filter(n => n >= 0);
     if(nums.length === 0) return 0;
     return nums.reduce((a,b)=>a+b,0)/nums.length;
   }
 
-  chartWrap(title, id){
+  // opts.granularity adds a day/week/month/quarter selector (over-time charts);
+  // opts.select = { options: { value: label }, value, label, onChange }, or an
+  // array of them, adds others before it
+  chartWrap(title, id, opts = {}){
     const t = document.getElementById('chart-template');
     const node = t.content.cloneNode(true);
     node.querySelector('.chart-title').textContent = title;
     node.querySelector('canvas').id = id;
+    const selects = [].concat(opts.select || []);
+    if(opts.granularity){
+      selects.push({ options: GRANULARITIES, value: chartManager.getGranularity(id), label: 'granularity',
+        onChange: (value) => chartManager.setGranularity(id, value), className: 'chart-granularity' });
+    }
+    const els = selects.map(select => {
+      const el = document.createElement('select');
+      el.className = `chart-select ${select.className || ''}`.trim();
+      el.setAttribute('aria-label', `${title} ${select.label || 'option'}`);
+      Object.entries(select.options).forEach(([value, label]) => el.add(new Option(label, value)));
+      el.value = select.value;
+      el.addEventListener('change', () => select.onChange(el.value));
+      return el;
+    });
+    node.querySelector('.chart-actions').prepend(...els);
     return node;
   }
 
@@ -0,0 +1,374 @@
+// js/row-processor.js - Field mapping, date parsing and validation for raw rows.
+// Has no DOM dependencies so it runs both in parse-worker.js and on the main thread.
+import { CONFIG } from './config.js';
+import {
+  normalizeHeader,
+  parseDate,
+  cleanNumber,
+  isConnectedCall,
+  zonedTime,
+  zonedDayKey
+} from './utils.js';
+
+// Papa Parse options shared by the worker and the main-thread fallback
+export const CSV_PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: 'greedy',
+  dynamicTyping: false,
+  delimitersToGuess: [',', '\t', ';', '|'],
+  transformHeader: (h) => h.trim().replace(/^\uFEFF/, '')
+};
+
+const SAMPLE_LIMIT = 25; // offending rows kept per issue
+const PREVIEW_ROWS = 5;  // raw rows kept for the column-mapping wizard
+
+// Functions available to `derived` columns in a source's transform
+export const DERIVED_FUNCTIONS = {
+  connectedCall: (v) => isConnectedCall(v)
+};
+
+function isBlank(val) {
+  return val == null || String(val).trim() === '';
+}
+
+/**
+ * Per-source load diagnostics. Pass the same object to every processData
+ * call for a file (e.g. one per parse chunk), then finalizeDiagnostics().
+ */
+export function createDiagnostics(key) {
+  return {
+    source: key,
+    rowsRead: 0,
+    rowsKept: 0,
+    rejected: {},            // reason -> count
+    unparseableDates: 0,
+    nonPositiveDurations: 0,
+    duplicateIds: 0,
+    unmappedColumns: null,   // expected logical fields with no matching header
+    headers: [],
+    preview: [],             // first raw rows, for sample values
+    samples: {},             // issue -> up to SAMPLE_LIMIT raw rows
+    dateOrder: undefined,    // detectDateOrder() result, set by the first processData call
+    totals: [],              // stated totals from transform.totals rows: { year, month, value }
+    _seenIds: new Set()
+  };
+}
+
+export function finalizeDiagnostics(diag) {
+  if (!diag) return null;
+  const { _seenIds, ...out } = diag;
+  return out;
+}
+
+// Combine finalized diagnostics from several files of one source
+export function mergeDiagnostics(list) {
+  const parts = list.filter(Boolean);
+  if (!parts.length) return null;
+
+  const out = { ...parts[0], rejected: {}, samples: {}, rowsRead: 0, rowsKept: 0,
+    unparseableDates: 0, nonPositiveDurations: 0, duplicateIds: 0 };
+  parts.forEach(d => {
+    ['rowsRead', 'rowsKept', 'unparseableDates', 'nonPositiveDurations', 'duplicateIds']
+      .forEach(k => { out[k] += d[k] || 0; });
+    Object.entries(d.rejected).forEach(([r, n]) => { out.rejected[r] = (out.rejected[r] || 0) + n; });
+    Object.entries(d.samples).forEach(([issue, rows]) => {
+      const list = out.samples[issue] || (out.samples[issue] = []);
+      list.push(...rows.slice(0, SAMPLE_LIMIT - list.length));
+    });
+  });
+  // Overlapping files may state the same total; the first file wins, as for rows
+  const periods = new Set();
+  out.totals = parts.flatMap(d => d.totals || []).filter(t => {
+    const k = `${t.year}-${t.month}`;
+    if (periods.has(k)) return false;
+    periods.add(k);
+    return true;
+  });
+  // Each file is detected separately; surface any that had to be guessed
+  out.dateOrder = parts.find(d => d.dateOrder?.ambiguous)?.dateOrder || parts[0].dateOrder;
+  return out;
+}
+
+function addIssue(diag, issue, row) {
+  const list = diag.samples[issue] || (diag.samples[issue] = []);
+  if (list.length < SAMPLE_LIMIT) list.push({ ...row });
+}
+
+function reject(diag, reason, row) {
+  diag.rejected[reason] = (diag.rejected[reason] || 0) + 1;
+  addIssue(diag, `Rejected: ${reason}`, row);
+}
+
+function checkColumns(diag, headers, map) {
+  diag.headers = headers;
+  diag.unmappedColumns = Object.entries(map)
+    .filter(([, candidates]) => !findBestMatch(headers, candidates))
+    .map(([field, candidates]) => ({ field, expected: candidates }));
+}
+
+// Look for data-quality issues in a row that is otherwise being kept
+function inspectRow(diag, raw, r, map) {
+  const dateField = findBestMatch(Object.keys(r), map.date || []);
+  if (dateField && !isBlank(r[dateField]) && !r.date_parsed) {
+    diag.unparseableDates++;
+    addIssue(diag, 'Unparseable date', raw);
+  }
+
+  if (r.duration_numeric != null && r.duration_numeric <= 0) {
+    diag.nonPositiveDurations++;
+    addIssue(diag, 'Zero or negative duration', raw);
+  }
+
+  const id = r['Call ID'];
+  if (!isBlank(id)) {
+    if (diag._seenIds.has(id)) {
+      diag.duplicateIds++;
+      addIssue(diag, 'Duplicate Call ID', raw);
+    } else {
+      diag._seenIds.add(id);
+    }
+  }
+}
+
+/**
+ * Map, validate and (optionally) diagnose raw rows. `map` is the effective
+ * field mapping, including any wizard overrides (see getFieldMappings).
+ */
+export function processData(rows, key, diag = null, map = CONFIG.fieldMappings[key] || {}) {
+  if (!rows || rows.length === 0) return [];
+  const out = [];
+
+  if (diag && !diag.unmappedColumns) checkColumns(diag, Object.keys(rows[0]), map);
+  // Callers processing a file in batches detect the order on all its rows first
+  if (diag && diag.dateOrder === undefined) diag.dateOrder = detectDateOrder(rows, key, map);
+  const dateOrder = (diag ? diag.dateOrder : detectDateOrder(rows, key, map))?.order;
+  if (diag && diag.preview.length < PREVIEW_ROWS) {
+    diag.preview.push(...rows.slice(0, PREVIEW_ROWS - diag.preview.length).map(r => ({ ...r })));
+  }
+
+  for (const row of rows) {
+    if (diag) diag.rowsRead++;
+    try {
+      const { row: r, reason: filtered, total } = transformRow(row, map, key, dateOrder);
+      if (total && diag) diag.totals.push(total);
+      const reason = filtered || rejectReason(r, key);
+      if (!reason) {
+        out.push(r);
+        if (diag) inspectRow(diag, row, r, map);
+      } else if (diag) {
+        reject(diag, reason, row);
+      }
+    } catch (e) {
+      console.warn(`Row skipped:`, e);
+      if (diag) reject(diag, `Error: ${e.message}`, row);
+    }
+  }
+  if (diag) diag.rowsKept += out.length;
+  return out;
+}
+
+export function processRow(row, map, sourceKey, dateOrder) {
+  return transformRow(row, map, sourceKey, dateOrder).row;
+}
+
+export const ORDER_LABELS = { dmy: 'day/month', mdy: 'month/day' };
+const NUMERIC_DATE = /^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})\b/;
+
+// Header holding the source's transform date, as transformRow will resolve it
+function dateColumn(row, spec, map) {
+  const col = resolveColumn(row, spec.from, map);
+  if (col && row[col] !== undefined) return col;
+  return findBestMatch(Object.keys(row), map.date || []);
+}
+
+/**
+ * Decide whether a file's dd/mm-style dates are day-first ("dmy") or
+ * month-first ("mdy"). src.dateOrder, when set, wins. Otherwise a value with
+ * a first or second component above 12 settles it; failing that, the order
+ * under which the dates run consistently up or down is chosen. Returns
+ * { column, order, ambiguous, reason }, or null when the column has no such
+ * dates (ISO, Excel serials, composed dates).
+ */
+export function detectDateOrder(rows, key, map = CONFIG.fieldMappings[key] || {}) {
+  const src = CONFIG.dataSources[key] || {};
+  const spec = src.transform?.date;
+  if (!spec?.from || !rows?.length) return null;
+
+  const column = dateColumn(rows[0], spec, map);
+  if (!column) return null;
+  if (src.dateOrder === 'dmy' || src.dateOrder === 'mdy') {
+    return { column, order: src.dateOrder, ambiguous: false, reason: 'Set by dateOrder in config' };
+  }
+
+  const values = [];
+  let dayFirst = 0, monthFirst = 0;
+  for (const row of rows) {
+    const m = String(row[column] ?? '').trim().match(NUMERIC_DATE);
+    if (!m) continue;
+    const a = +m[1], b = +m[2], y = +m[3] < 100 ? 2000 + (+m[3]) : +m[3];
+    if (a > 12 && b <= 12) dayFirst++;
+    else if (b > 12 && a <= 12) monthFirst++;
+    values.push([a, b, y]);
+  }
+  if (!values.length) return null;
+
+  if (dayFirst && !monthFirst) {
+    return { column, order: 'dmy', ambiguous: false, reason: `${dayFirst} values only make sense as day/month` };
+  }
+  if (monthFirst && !dayFirst) {
+    return { column, order: 'mdy', ambiguous: false, reason: `${monthFirst} values only make sense as month/day` };
+  }
+  if (dayFirst && monthFirst) {
+    return {
+      column, order: dayFirst >= monthFirst ? 'dmy' : 'mdy', ambiguous: true,
+      reason: `Values disagree: ${dayFirst} read as day/month, ${monthFirst} as month/day`
+    };
+  }
+
+  if (values.every(([a, b]) => a === b)) {
+    return { column, order: 'dmy', ambiguous: false, reason: 'Day and month are equal in every value' };
+  }
+
+  const dmy = isMonotonic(values.map(([a, b, y]) => y * 10000 + b * 100 + a));
+  const mdy = isMonotonic(values.map(([a, b, y]) => y * 10000 + a * 100 + b));
+  if (dmy !== mdy) {
+    const order = dmy ? 'dmy' : 'mdy';
+    return { column, order, ambiguous: false, reason: `Dates are only in sequence when read as ${ORDER_LABELS[order]}` };
+  }
+  return {
+    column, order: 'dmy', ambiguous: true,
+    reason: 'No day above 12 and no consistent sequence; assumed day/month'
+  };
+}
+
+function isMonotonic(keys) {
+  let up = true, down = true;
+  for (let i = 1; i < keys.length; i++) {
+    if (keys[i] < keys[i - 1]) up = false;
+    if (keys[i] > keys[i - 1]) down = false;
+  }
+  return up || down;
+}
+
+// Header name a column reference points at in this row (see CONFIG.dataSources)
+function resolveColumn(r, ref, map) {
+  if (typeof ref === 'string') return ref;
+  if (ref.field) return findBestMatch(Object.keys(r), map[ref.field] || []);
+  if (ref.firstOf) return ref.firstOf.find(c => !isBlank(r[c])) || null;
+  return null;
+}
+
+// A yearly (month is the marker) or monthly (day is the marker) total row
+function statedTotal(r, spec) {
+  const { year: yc, month: mc, day: dc } = spec.date.compose;
+  const marker = String(spec.totals.marker).trim().toLowerCase();
+  const isMarker = (col) => String(r[col] ?? '').trim().toLowerCase() === marker;
+  const year = cleanNumber(r[yc]);
+  const value = cleanNumber(r[spec.totals.value]);
+  if (isMarker(mc)) return { year, month: null, value };
+  if (isMarker(dc)) return { year, month: cleanNumber(r[mc]), value };
+  return null;
+}
+
+function composeDate(r, spec) {
+  const { year: yc, month: mc, day: dc } = spec.compose;
+  const year = cleanNumber(r[yc]);
+  const month = cleanNumber(r[mc]);
+  const day = cleanNumber(r[dc]);
+
+  if (!(year > (spec.minYear ?? 0))) return { date: null };
+  if (!isNaN(month) && month >= 1 && !isNaN(day) && day >= 1) {
+    return { date: zonedTime(year, month, day) };
+  }
+  return { date: null, incomplete: true };
+}
+
+/**
+ * Run a source's declarative transform (CONFIG.dataSources[key].transform)
+ * over one raw row. Returns { row } or { row: null, reason } when dropped.
+ */
+function transformRow(row, map, sourceKey, dateOrder) {
+  const r = {};
+  Object.keys(row).forEach(k => {
+    const ck = k.trim();
+    if (ck) r[ck] = row[k];
+  });
+
+  // Columns remapped in the wizard are also exposed under the configured name
+  const base = CONFIG.fieldMappings[sourceKey] || {};
+  Object.keys(map).forEach(field => {
+    const canonical = base[field]?.[0];
+    if (!canonical || map[field][0] === canonical || r[canonical] !== undefined) return;
+    const hit = findBestMatch(Object.keys(r), map[field]);
+    if (hit) r[canonical] = r[hit];
+  });
+
+  const spec = CONFIG.dataSources[sourceKey]?.transform;
+  if (!spec) return { row: r };
+
+  for (const f of spec.filters || []) {
+    const col = resolveColumn(r, f.from, map);
+    const v = col ? r[col] : null;
+    if (isBlank(v) || String(v).toLowerCase() !== String(f.equals).toLowerCase()) {
+      return { row: null, reason: f.reason || 'Filtered out' };
+    }
+  }
+
+  if (spec.date) {
+    let pd = null;
+    if (spec.date.compose) {
+      const res = composeDate(r, spec.date);
+      if (res.incomplete && spec.date.incomplete) {
+        return { row: null, reason: spec.date.incomplete, total: spec.totals ? statedTotal(r, spec) : null };
+      }
+      pd = res.date;
+    } else {
+      const col = resolveColumn(r, spec.date.from, map);
+      if (col && r[col]) pd = parseDate(r[col], dateOrder);
+    }
+    if (pd) {
+      r.date_parsed = pd;
+      r.__chartDate = zonedDayKey(pd);
+    }
+  }
+
+  Object.entries(spec.derived || {}).forEach(([name, d]) => {
+    const col = resolveColumn(r, d.from, map);
+    const fn = DERIVED_FUNCTIONS[d.fn];
+    r[name] = col && r[col] && fn ? fn(r[col], r) : d.default;
+  });
+
+  Object.entries(spec.numeric || {}).forEach(([name, ref]) => {
+    const col = resolveColumn(r, ref, map);
+    if (typeof ref === 'object' && (!col || (ref.ifPresent && !r[col]))) return;
+    r[name] = cleanNumber(r[col]);
+  });
+
+  return { row: r };
+}
+
+export function findBestMatch(headers, candidates) {
+  const norm = headers.map((h) => ({ orig: h, norm: normalizeHeader(h) }));
+  for (const c of candidates) {
+    const nc = normalizeHeader(c);
+    const hit = norm.find((h) => h.norm === nc);
+    if (hit) return hit.orig;
+  }
+  return null;
+}
+
+export function isValidRow(row, key) {
+  return rejectReason(row, key) === null;
+}
+
+// null when the row is valid, otherwise a short reason for the data health report
+export function rejectReason(row, key) {
+  if (row === null) return 'Filtered out';
+
+  // Reject rows that are entirely blank
+  if (Object.values(row).every(v => isBlank(v))) return 'Blank row';
+
+  const required = CONFIG.dataSources[key]?.transform?.required || [];
+  const missing = required.find(col => isBlank(row[col]));
+  return missing ? `Missing ${missing}` : null;
+}
@@ -0,0 +1,109 @@
+// js/scorecard.js - Per-agent metrics across sources and an agent's standing in the team
+import { cleanNumber, isAbandoned, zonedParts, percentile } from './utils.js';
+
+// Outbound rows are daily totals, so calls per hour assume a working day of this many hours
+const OUTBOUND_HOURS_PER_DAY = 8;
+
+// Scorecard metrics in display order; better: "lower" ranks the smallest first
+export const SCORECARD_METRICS = [
+  { key: 'inboundCalls',    label: 'Inbound calls',         format: 'number' },
+  { key: 'handled',         label: 'Handled',               format: 'number' },
+  { key: 'abandonRate',     label: 'Abandon rate',          format: 'percentage', better: 'lower' },
+  { key: 'avgHandleTime',   label: 'Avg handle time',       format: 'duration', better: 'lower' },
+  { key: 'inboundPerHour',  label: 'Inbound calls / hour',  format: 'number' },
+  { key: 'outboundCalls',   label: 'Outbound calls',        format: 'number' },
+  { key: 'outboundPerHour', label: 'Outbound calls / hour', format: 'number' },
+  { key: 'connectRate',     label: 'Connect rate',          format: 'percentage' }
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Metrics per agent from each source's rows, a source being skipped when it
+ * has no agent column. sources: { inbound, outbound, connect } as
+ * { rows, column }. Returns Map name -> { ...metrics, daily: Map day ->
+ * { inbound?, outbound? } }; a metric is missing where the agent has no rows
+ * to base it on.
+ */
+export function agentStats(sources) {
+  const agents = new Map();
+  const each = (source, fn) => {
+    if (!source?.column) return;
+    source.rows.forEach(r => {
+      const name = String(r[source.column] ?? '').trim();
+      if (!name) return;
+      if (!agents.has(name)) agents.set(name, { acc: { hours: new Set(), outboundDays: new Set() }, daily: new Map() });
+      fn(agents.get(name), r);
+    });
+  };
+  const day = (a, r) => {
+    if (!a.daily.has(r.__chartDate)) a.daily.set(r.__chartDate, {});
+    return a.daily.get(r.__chartDate);
+  };
+  const add = (totals, field, n = 1) => { totals[field] = (totals[field] || 0) + n; };
+
+  each(sources.inbound, (a, r) => {
+    add(a.acc, 'inbound');
+    if (isAbandoned(r.Disposition || '')) add(a.acc, 'abandoned');
+    else if (cleanNumber(r.duration_numeric) > 0) {
+      add(a.acc, 'talked');
+      add(a.acc, 'talk', cleanNumber(r.duration_numeric));
+    }
+    if (r.date_parsed) a.acc.hours.add(`${r.__chartDate}-${zonedParts(r.date_parsed).hour}`);
+    if (r.__chartDate) add(day(a, r), 'inbound');
+  });
+  each(sources.outbound, (a, r) => {
+    const calls = cleanNumber(r.OutboundCalls_numeric);
+    add(a.acc, 'outbound', calls);
+    if (r.__chartDate) {
+      a.acc.outboundDays.add(r.__chartDate);
+      add(day(a, r), 'outbound', calls);
+    }
+  });
+  each(sources.connect, (a, r) => {
+    add(a.acc, 'attempts');
+    if (r.isConnected) add(a.acc, 'connected');
+  });
+
+  const stats = new Map();
+  agents.forEach(({ acc, daily }, name) => {
+    const s = { daily };
+    if (acc.inbound) {
+      s.inboundCalls = acc.inbound;
+      s.handled = acc.inbound - (acc.abandoned || 0);
+      s.abandonRate = ((acc.abandoned || 0) / acc.inbound) * 100;
+      if (acc.talked) s.avgHandleTime = acc.talk / acc.talked;
+      if (acc.hours.size) s.inboundPerHour = round2(acc.inbound / acc.hours.size);
+    }
+    if (acc.outboundDays.size) {
+      s.outboundCalls = acc.outbound;
+      s.outboundPerHour = round2(acc.outbound / (acc.outboundDays.size * OUTBOUND_HOURS_PER_DAY));
+    }
+    if (acc.attempts) s.connectRate = ((acc.connected || 0) / acc.attempts) * 100;
+    stats.set(name, s);
+  });
+  return stats;
+}
+
+/**
+ * How `agent` stands in `team` (names; the agent is counted in even if not
+ * listed) for each SCORECARD_METRICS entry the agent has:
+ * [{ ...metric, value, median, rank, of }], rank 1 being the best.
+ */
+export function rankAgent(stats, agent, team) {
+  const own = stats.get(agent);
+  if (!own) return [];
+  const members = [...new Set([...team, agent])].map(n => stats.get(n)).filter(Boolean);
+
+  return SCORECARD_METRICS.filter(m => own[m.key] != null).map(m => {
+    const values = members.map(s => s[m.key]).filter(v => v != null);
+    const better = m.better === 'lower' ? (v) => v < own[m.key] : (v) => v > own[m.key];
+    return {
+      ...m,
+      value: own[m.key],
+      median: percentile(values, 50),
+      rank: values.filter(better).length + 1,
+      of: values.length
+    };
+  });
+}
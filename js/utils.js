@@ -18,8 +18,123 @@ export function cleanNumber(v){
   return Number.isFinite(n) ? n : 0;
 }
 
-// ISO, YYYY-MM-DD, DD/MM/YYYY[ HH:mm[:ss]], d-m-y[ time], Excel serials
-export function parseDate(value){
+/** Reporting timezone helpers (CONFIG.timezone, an IANA zone name) */
+const zoneFormatters = new Map();
+const zoneOffsets = new Map(); // "tz|UTC hour" -> offset in ms
+
+function zoneFormatter(tz) {
+  let f = zoneFormatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-GB', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    zoneFormatters.set(tz, f);
+  }
+  return f;
+}
+
+// Offset of tz from UTC at an instant in ms (3600000 during BST). Offsets only
+// change on the hour, so Intl is consulted once per zone per UTC hour.
+export function zoneOffset(date, tz = CONFIG.timezone) {
+  const hour = Math.floor(date.getTime() / 3600000) * 3600000;
+  const key = `${tz}|${hour}`;
+  let off = zoneOffsets.get(key);
+  if (off === undefined) {
+    const p = {};
+    zoneFormatter(tz).formatToParts(new Date(hour)).forEach(({ type, value }) => { p[type] = +value; });
+    off = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - hour;
+    zoneOffsets.set(key, off);
+  }
+  return off;
+}
+
+// Wall-clock fields of an instant as read in tz (month 1-12, weekday 0 = Sunday)
+export function zonedParts(date, tz = CONFIG.timezone) {
+  const d = new Date(date.getTime() + zoneOffset(date, tz));
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+    weekday: d.getUTCDay()
+  };
+}
+
+// YYYY-MM-DD of an instant's calendar day in tz
+export function zonedDayKey(date, tz = CONFIG.timezone) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Instant at which the clock in tz reads the given wall time. Out-of-range
+// fields roll over like Date.UTC. A time skipped when clocks go forward lands
+// an hour later; a time repeated when they go back takes the second reading.
+export function zonedTime(year, month, day, hour = 0, minute = 0, second = 0, tz = CONFIG.timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - zoneOffset(new Date(wall), tz);
+  return new Date(wall - zoneOffset(new Date(guess), tz));
+}
+
+// Day keys are plain calendar dates; step them without touching any timezone
+export function addDays(dayKey, n) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// Same calendar day n years on; 29 Feb becomes 28 Feb outside leap years
+function addYears(dayKey, n) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const last = new Date(Date.UTC(y + n, m, 0)).getUTCDate();
+  return `${y + n}-${String(m).padStart(2, '0')}-${String(Math.min(d, last)).padStart(2, '0')}`;
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+}
+
+export const COMPARE_LABELS = {
+  previous: 'Previous period',
+  year: 'Same period last year',
+  custom: 'Custom range'
+};
+
+/**
+ * Date range that filters.compare asks to compare the filtered range with:
+ *   { mode: 'previous' }  the same number of days immediately before
+ *   { mode: 'year' }      the same dates one year earlier
+ *   { mode: 'custom', startDate, endDate }
+ * Returns { startDate, endDate, align } where align(dayKey) maps a day in the
+ * comparison range onto the matching day of the current range, or null.
+ */
+export function comparisonRange({ startDate, endDate, compare } = {}) {
+  if (!compare?.mode || !startDate || !endDate) return null;
+
+  if (compare.mode === 'year') {
+    return {
+      startDate: addYears(startDate, -1),
+      endDate: addYears(endDate, -1),
+      align: (d) => addYears(d, 1)
+    };
+  }
+
+  let from, to;
+  if (compare.mode === 'previous') {
+    to = addDays(startDate, -1);
+    from = addDays(to, -daysBetween(startDate, endDate));
+  } else if (compare.mode === 'custom' && compare.startDate && compare.endDate) {
+    from = compare.startDate;
+    to = compare.endDate;
+  } else {
+    return null;
+  }
+  const shift = daysBetween(from, startDate);
+  return { startDate: from, endDate: to, align: (d) => addDays(d, shift) };
+}
+
+// ISO, YYYY-MM-DD, DD/MM/YYYY[ HH:mm[:ss][ AM|PM]], d-m-y[ time], Excel serials.
+// order is "dmy" (default) or "mdy" for the slash/dash forms; see detectDateOrder.
+// Timestamps without an explicit offset are wall-clock times in CONFIG.timezone.
+export function parseDate(value, order = 'dmy'){
   if(!value) return null;
   if(value instanceof Date) return isNaN(value.getTime()) ? null : value;
   const s = String(value).trim();
@@ -28,34 +143,33 @@ export function parseDate(value){
   if(/^\d+(\.\d+)?$/.test(s)){
     const num = parseFloat(s);
     if(num>20000 && num<60000){
-      const base = new Date(1899,11,30);
-      base.setDate(base.getDate()+Math.floor(num));
-      if(num%1) base.setTime(base.getTime()+((num%1)*86400000));
-      return base;
+      const w = new Date(Date.UTC(1899,11,30) + Math.round(num*86400)*1000);
+      return zonedTime(w.getUTCFullYear(), w.getUTCMonth()+1, w.getUTCDate(), w.getUTCHours(), w.getUTCMinutes(), w.getUTCSeconds());
     }
   }
 
-  // ISO / yyyy-mm-dd
-  if(/^\d{4}-\d{2}-\d{2}/.test(s)){
-    const d = new Date(s.replace(' ','T'));
+  // ISO / yyyy-mm-dd; an explicit Z or +hh:mm offset wins over the reporting zone
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/);
+  if(m){
+    const d = zonedTime(+m[1], +m[2], +m[3], +(m[4] ?? 0), +(m[5] ?? 0), +(m[6] ?? 0));
+    if(m[7]) d.setTime(d.getTime() + Math.round(parseFloat(m[7])*1000));
     return isNaN(d.getTime()) ? null : d;
   }
-
-  // dd/mm/yyyy [time]
-  let m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
-  if(m){
-    const dd=+m[1], MM=+m[2], yy=+m[3] < 100 ? 2000 + (+m[3]) : +m[3];
-    const hh=+(m[4] ?? 0), mi=+(m[5] ?? 0), ss=+(m[6] ?? 0);
-    const d = new Date(yy, MM-1, dd, hh, mi, ss);
+  if(/^\d{4}-\d{2}-\d{2}/.test(s)){
+    const d = new Date(s.replace(' ','T'));
     return isNaN(d.getTime()) ? null : d;
   }
 
-  // d-m-y [time] (prefer UK)
-  m = s.match(/^(\d{1,2})-(\d{1,2})-(\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  // dd/mm/yyyy or d-m-y [time], month first when order is "mdy"
+  m = s.match(/^(\d{1,2})([/-])(\d{1,2})\2(\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/);
   if(m){
-    const dd=+m[1], MM=+m[2], yy=+m[3] < 100 ? 2000 + (+m[3]) : +m[3];
-    const hh=+(m[4] ?? 0), mi=+(m[5] ?? 0), ss=+(m[6] ?? 0);
-    const d = new Date(yy, MM-1, dd, hh, mi, ss);
+    const [dd, MM] = order === 'mdy' ? [+m[3], +m[1]] : [+m[1], +m[3]];
+    const yy = +m[4] < 100 ? 2000 + (+m[4]) : +m[4];
+    let hh = +(m[5] ?? 0);
+    const mi = +(m[6] ?? 0), ss = +(m[7] ?? 0);
+    if(m[8]) hh = (hh % 12) + (/p/i.test(m[8]) ? 12 : 0);
+    if(MM < 1 || MM > 12 || dd < 1 || dd > 31) return null;
+    const d = zonedTime(yy, MM, dd, hh, mi, ss);
     return isNaN(d.getTime()) ? null : d;
   }
 
@@ -88,11 +202,11 @@ export function formatDate(date, fmt='display'){
   const d = date instanceof Date ? date : parseDate(date);
   if(!d) return '';
   switch(fmt){
-    case 'input':  return d.toISOString().split('T')[0];
-    case 'chart':  return d.toLocaleDateString('en-GB',{month:'short',year:'numeric'});
+    case 'input':  return zonedDayKey(d);
+    case 'chart':  return d.toLocaleDateString('en-GB',{month:'short',year:'numeric',timeZone:CONFIG.timezone});
     case 'api':    return d.toISOString();
     case 'display':
-    default:       return d.toLocaleDateString('en-GB',{year:'numeric',month:'short',day:'numeric'});
+    default:       return d.toLocaleDateString('en-GB',{year:'numeric',month:'short',day:'numeric',timeZone:CONFIG.timezone});
   }
 }
 
@@ -116,6 +230,14 @@ export function weightedAverage(data, valueField, weightField = null) {
   });
   return tw > 0 ? tv / tw : 0;
 }
+// p-th percentile (0-100) of numbers, interpolating between ranks; null when empty
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank), hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
 export function groupBy(data, field) {
   return data.reduce((acc, item) => {
     const key = item[field] ?? 'Unknown';
@@ -123,19 +245,78 @@ export function groupBy(data, field) {
     return acc;
   }, {});
 }
+// ISO 8601 week of a day key, "YYYY-Www"; weeks start on Monday and belong
+// to the year holding their Thursday
+function isoWeekKey(dayKey) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const thursday = new Date(Date.UTC(y, m - 1, d + 4 - (new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7)));
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Key of the period a day key falls in: "day" (the day key), "week" (its
+ * Sunday), "isoWeek" ("2024-W05"), "month" ("2024-03"), "quarter"
+ * ("2024-Q1") or "year" ("2024"). Keys of one period sort chronologically.
+ */
+export function periodKey(dayKey, period = 'month') {
+  switch (period) {
+    case 'day':     return dayKey;
+    case 'week':    return addDays(dayKey, -new Date(`${dayKey}T00:00:00Z`).getUTCDay());
+    case 'isoWeek': return isoWeekKey(dayKey);
+    case 'quarter': return `${dayKey.slice(0, 4)}-Q${Math.ceil(Number(dayKey.slice(5, 7)) / 3)}`;
+    case 'year':    return dayKey.slice(0, 4);
+    case 'month':
+    default:        return dayKey.slice(0, 7);
+  }
+}
+
+// First and last day keys of a periodKey() key: { startDate, endDate }
+export function periodRange(key, period = 'month') {
+  const pad = (n) => String(n).padStart(2, '0');
+  const monthEnd = (y, m) => `${y}-${pad(m)}-${pad(new Date(Date.UTC(y, m, 0)).getUTCDate())}`;
+  switch (period) {
+    case 'day':  return { startDate: key, endDate: key };
+    case 'week': return { startDate: key, endDate: addDays(key, 6) };
+    case 'isoWeek': {
+      // Week 1 holds 4 January; count on from its Monday
+      const [year, week] = [Number(key.slice(0, 4)), Number(key.slice(6))];
+      const jan4 = `${year}-01-04`;
+      const start = addDays(jan4, (week - 1) * 7 - ((new Date(`${jan4}T00:00:00Z`).getUTCDay() || 7) - 1));
+      return { startDate: start, endDate: addDays(start, 6) };
+    }
+    case 'quarter': {
+      const [year, q] = [Number(key.slice(0, 4)), Number(key.slice(6))];
+      return { startDate: `${year}-${pad(q * 3 - 2)}-01`, endDate: monthEnd(year, q * 3) };
+    }
+    case 'year': return { startDate: `${key}-01-01`, endDate: `${key}-12-31` };
+    case 'month':
+    default: {
+      const [year, month] = key.split('-').map(Number);
+      return { startDate: `${key}-01`, endDate: monthEnd(year, month) };
+    }
+  }
+}
+
+// Finest granularity that keeps a date range readable (CONFIG.timeSeries.auto)
+export function autoGranularity(startDate, endDate) {
+  if (!startDate || !endDate) return 'day';
+  const days = daysBetween(startDate, endDate) + 1;
+  const { day, week, month } = CONFIG.timeSeries.auto;
+  if (days <= day) return 'day';
+  if (days <= week) return 'isoWeek';
+  if (days <= month) return 'month';
+  return 'quarter';
+}
+
+// Periods are calendar periods in CONFIG.timezone (see periodKey)
 export function aggregateByPeriod(data, dateField, period = 'month') {
   const groups = {};
   data.forEach(row => {
     const d = row.date_parsed || parseDate(row[dateField]);
     if (!d) return;
-    let key;
-    switch (period) {
-      case 'day':   key = d.toISOString().split('T')[0]; break;
-      case 'week':  { const ws = new Date(d); ws.setDate(d.getDate() - d.getDay()); key = ws.toISOString().split('T')[0]; } break;
-      case 'year':  key = String(d.getFullYear()); break;
-      case 'month':
-      default:      key = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`;
-    }
+    const key = periodKey(zonedDayKey(d), period);
     (groups[key] = groups[key] || []).push(row);
   });
   return groups;
@@ -191,6 +372,20 @@ export function hideError() {
   const c = document.getElementById('error-container');
   if (c) c.classList.add('hidden');
 }
+export function showNotice(message) {
+  const c = document.getElementById('notice-container');
+  const t = document.getElementById('notice-text');
+  if (c && t) {
+    t.textContent = message;
+    c.classList.remove('hidden');
+    clearTimeout(showNotice._timer);
+    showNotice._timer = setTimeout(() => c.classList.add('hidden'), 5000);
+  }
+}
+export function hideNotice() {
+  const c = document.getElementById('notice-container');
+  if (c) c.classList.add('hidden');
+}
 export function showLoading(text='Loading...', progress=0) {
   const o = document.getElementById('loading-overlay');
   const te = document.querySelector('.loading-text');
@@ -216,6 +411,68 @@ export function updateProgress(progress, text) {
   if (text && lt) lt.textContent = text;
 }
 
+/** Network helpers */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// fetch() with a per-attempt timeout and exponential backoff between retries.
+// 4xx responses (other than 408/429) are returned as-is since retrying won't help.
+export async function fetchWithRetry(url, opts = {}) {
+  const {
+    timeout = CONFIG.api.timeout,
+    retryAttempts = CONFIG.api.retryAttempts,
+    retryDelay = CONFIG.api.retryDelay,
+    ...init
+  } = opts;
+
+  let lastError;
+  for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+    if (attempt > 0) await sleep(retryDelay * 2 ** (attempt - 1));
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const resp = await fetch(url, { ...init, signal: controller.signal });
+      const retryable = resp.status >= 500 || resp.status === 408 || resp.status === 429;
+      if (resp.ok || !retryable) return resp;
+      lastError = new Error(`${resp.status} ${resp.statusText}`);
+    } catch (e) {
+      lastError = e.name === 'AbortError' ? new Error(`Request timed out after ${timeout}ms`) : e;
+    } finally {
+      clearTimeout(timer);
+    }
+    console.warn(`Request to ${url} failed (attempt ${attempt + 1}/${retryAttempts + 1}):`, lastError.message);
+  }
+  throw lastError;
+}
+
+/** File helpers */
+// Shell-style glob (* and ?) to an anchored, case-insensitive RegExp
+export function globToRegExp(glob) {
+  const re = String(glob)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function formatRelativeTime(date, now = new Date()) {
+  const mins = Math.round((now - date) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.round(mins / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
 /** Date range helpers */
 export function validateDateRange(startDate, endDate) {
   const s = parseDate(startDate), e = parseDate(endDate);
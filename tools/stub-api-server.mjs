@@ -0,0 +1,104 @@
+// tools/stub-api-server.mjs - Local stand-in for CONFIG.api, for testing API data sources
+//
+//   node tools/stub-api-server.mjs [port]
+//
+// Serves every CSV in data/ as JSON at /api/v1/<file name without .csv>,
+// e.g. /api/v1/outbound_calls?startDate=2024-03-01&endDate=2024-03-31.
+// Add ?format=csv for a CSV response. To exercise timeout and retry handling:
+//   ?delay=<ms>  wait before responding
+//   ?fail=<n>    answer 503 to the first n requests for that URL path
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const PORT = Number(process.argv[2]) || 8787;
+const failures = new Map(); // path -> failed responses sent so far
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(v => v !== '')) rows.push(row);
+
+  const [headers = [], ...body] = rows;
+  return body.map(r => Object.fromEntries(headers.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+// Best-effort day key for the range filter: ISO, dd/mm/yyyy or Year/Month/Date columns
+function dayKey(row) {
+  if (row.Year) {
+    const y = Number(row.Year), mo = Number(row.Month), d = Number(row.Date);
+    return y && mo && d ? `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}` : null;
+  }
+  const v = row['Date/Time (earliest)'] || row['Date/Time'] || row.Date;
+  if (!v) return null;
+  let m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = String(v).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+function toCsv(rows) {
+  if (!rows.length) return '';
+  const headers = Object.keys(rows[0]);
+  const esc = v => (/[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : v);
+  return [headers.join(','), ...rows.map(r => headers.map(h => esc(r[h] ?? '')).join(','))].join('\n');
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const delay = Number(url.searchParams.get('delay')) || 0;
+  if (delay) await new Promise(r => setTimeout(r, delay));
+
+  const failCount = Number(url.searchParams.get('fail')) || 0;
+  const sent = failures.get(url.pathname) || 0;
+  if (sent < failCount) {
+    failures.set(url.pathname, sent + 1);
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: 'Simulated outage' }));
+  }
+
+  const m = url.pathname.match(/^\/api\/v1\/([\w-]+)$/);
+  const file = m && path.join(DATA_DIR, `${m[1]}.csv`);
+  if (!file || !fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: `No data for ${url.pathname}` }));
+  }
+
+  const start = url.searchParams.get('startDate');
+  const end = url.searchParams.get('endDate');
+  const rows = parseCsv(fs.readFileSync(file, 'utf8')).filter(r => {
+    const k = dayKey(r);
+    if (!k) return true; // keep undated rows (e.g. FCR totals) for the loader to handle
+    return (!start || k >= start) && (!end || k <= end);
+  });
+
+  if (url.searchParams.get('format') === 'csv') {
+    res.writeHead(200, { 'Content-Type': 'text/csv' });
+    return res.end(toCsv(rows));
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ data: rows }));
+});
+
+server.listen(PORT, () => console.log(`Stub API listening on http://localhost:${PORT}/api/v1`));